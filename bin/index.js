@@ -6,10 +6,14 @@ import LLMOrchestrator from '../src/services/llms.js'
 import { program } from 'commander';
 import chalk from 'chalk';
 import { loadConfig, setupConfig } from '../src/services/config.js'
+import { loadProviderPlugins } from '../src/services/providers.js'
 import { gitAdd } from '../src/commands/add.js'
 import { gitCommit } from '../src/commands/commit.js'
 import { gitCheckout } from '../src/commands/checkout.js'
 import { squawk } from '../src/commands/squawk.js'
+import { showUsage } from '../src/commands/usage.js'
+import { showAudit } from '../src/commands/audit.js'
+import { showPrompt } from '../src/commands/prompt.js'
 import i18n from '../src/services/i18n.js';
 import { parseFlag } from '../src/utils/args-parser.js';
 
@@ -28,6 +32,10 @@ const config = loadConfig();
  * Example: Custom command handler
  */
 async function handleCommand(cmd, args, cli) {
+  // --lang works with every command, so it is taken out before commands read their own arguments
+  const [lang] = parseFlag(args, '--lang');
+  args = args.filter((arg, index) => arg !== '--lang' && !(lang && args[index - 1] === '--lang'));
+
   const repo = new gitRepository();
   const status = repo.getDetailedStatus();
 
@@ -36,15 +44,49 @@ async function handleCommand(cmd, args, cli) {
     provider: config.provider,
     apiKey: config.apiKey,
     model: config.model,
+    baseURL: config.baseURL,
+    headers: config.headers,
+    apiVersion: config.apiVersion,
+    deployment: config.deployment,
+    proxy: config.proxy,
+    caFile: config.caFile,
+    timeout: config.timeout,
+    fallbackProviders: config.fallbackProviders,
+    taskModels: config.taskModels,
+    generationLanguage: lang || config.generationLanguage,
+    mock: config.mock,
+    stream: config.stream,
+    candidates: config.candidates,
+    largeDiff: config.largeDiff,
+    prices: config.prices,
+    repoPath: repo.getRepoRoot(),
+    cache: {
+      ...config.cache,
+      enabled: config.cache?.enabled !== false && !args.includes('--no-cache')
+    },
+    audit: config.audit,
+    cassettes: {
+      ...config.cassettes,
+      mode: args.includes('--record') ? 'record' : args.includes('--replay') ? 'replay' : config.cassettes?.mode
+    },
+    retry: config.retry,
+    structuredCommits: config.structuredCommits,
+    commitLint: config.commitLint,
+    redaction: config.redaction,
     instructions: {
-      'commit': config.commitConvention,
-      'review': config.codeReviewStyle,
-      'pr': config.prMessageStyle,
-      'custom': config.customInstructions
+      commitConvention: config.commitConvention,
+      branchNaming: config.branchNaming,
+      followProjectPatterns: config.followProjectPatterns,
+      codeReviewStyle: config.codeReviewStyle,
+      prMessageStyle: config.prMessageStyle,
+      customInstructions: config.customInstructions
     },
     skipApproval: args.includes('-y') || args.includes('--yes')
   });
 
+  // Ctrl+C cancels the running generation instead of quitting; with none running it quits as usual
+  cli.onInterrupt(() => provider.cancel());
+
   switch (cmd) {
     case 'test':
       cli.streamer.showSuccess('Test command executed successfully!');
@@ -85,21 +127,54 @@ async function handleCommand(cmd, args, cli) {
       const ignoredFiles = parseFlag(args, '--ignore');
       const groupedFiles = parseFlag(args, '--group');
 
-      await squawk(repo, provider, { ignore: ignoredFiles, group: groupedFiles });
+      const stopSquawk = new AbortController();
+
+      // First Ctrl+C stops after the current file, a second one cancels it too
+      cli.onInterrupt(() => {
+        if (stopSquawk.signal.aborted) {
+          provider.cancel();
+          return;
+        }
+        stopSquawk.abort();
+        provider.streamer.updateThinking(i18n.t('git.squawk.stopping'));
+      });
+
+      await squawk(repo, provider, { ignore: ignoredFiles, group: groupedFiles, signal: stopSquawk.signal });
       break;
     case 'checkout':
-      // const branchName = parseFlag(args, '-b');
-      const branchName = parseFlag(args, '-b').length > 0 ? parseFlag(args, '-b') : args[0];
-      const changesContext = parseFlag(args, '-c') || parseFlag(args, '--context');
+      const createFlag = parseFlag(args, '-b');
+      const branchName = createFlag.length > 0 ? createFlag[0] : args.find(arg => !arg.startsWith('-'));
+      const contextFlag = parseFlag(args, '-c').length > 0 ? parseFlag(args, '-c') : parseFlag(args, '--context');
       const shouldGenerateName = args.includes('--ai');
-      const c = args.includes('-co')
 
-      gitCheckout(repo, provider, {
+      await gitCheckout(repo, provider, {
         name: branchName,
-        changesContext,
+        context: contextFlag.join(' ') || null,
+        create: createFlag.length > 0,
         shouldGenerateName
       })
       break;
+    case 'usage':
+      const days = parseInt(parseFlag(args, '--days')[0]) || 30;
+      await showUsage({ days, prices: config.prices });
+      break;
+    case 'audit':
+      await showAudit({
+        days: parseInt(parseFlag(args, '--days')[0]) || 7,
+        since: parseFlag(args, '--since')[0] || null,
+        until: parseFlag(args, '--until')[0] || null,
+        repo: parseFlag(args, '--repo')[0] || null,
+        limit: parseInt(parseFlag(args, '--limit')[0]) || 50,
+        full: args.includes('--full'),
+        audit: config.audit
+      });
+      break;
+    case 'prompt':
+      await showPrompt(provider, {
+        type: args.find(arg => !arg.startsWith('-')) || 'commit',
+        repoRoot: repo.getRepoRoot()
+      });
+      break;
     case 'setup':
       console.log();
       cli.streamer.showInfo(i18n.t('setup.reconfigureMessage'));
@@ -121,6 +196,12 @@ async function main() {
   const language = config.language || 'en';
   i18n.initialize(language);
 
+  // Plugin providers have to be registered before setup lists them or a command uses them
+  const plugins = await loadProviderPlugins({ plugins: config.providerPlugins });
+  for (const { source, message } of plugins.errors) {
+    console.log(chalk.yellow(i18n.t('plugins.loadFailed', { source, message })));
+  }
+
   const cli = new CLI({
     appName: 'CoParrot',
     version: '1.0.1',
@@ -131,6 +212,9 @@ async function main() {
       'add': 'Interactively stage files for commit',
       'commit': 'Commit staged files with AI-generated message',
       'squawk': 'Commit each changed file individually (use --ignore to exclude files)',
+      'usage': 'Show token usage and cost by day, command and repository (use --days to change the range)',
+      'audit': 'Show requests sent to providers (filter with --days, --since, --until, --repo; --full shows prompts)',
+      'prompt': 'Print the resolved system prompt for a task (commit, branch, pr or review)',
       'setup': 'Reconfigure coParrot settings (provider, API key, conventions, etc.)'
     },
     config: config
@@ -0,0 +1,129 @@
+import chalk from 'chalk';
+import path from 'path';
+import i18n from '../services/i18n.js';
+import AuditLog from '../services/audit.js';
+
+// Same markers squawk uses for committed, failed and cancelled items
+const STATUS_MARKERS = {
+  ok: chalk.green('✓'),
+  error: chalk.red('✗'),
+  cancelled: chalk.yellow('–')
+};
+
+/**
+ * Lists provider requests from the local audit log
+ * @param {Object} options - Command options
+ * @param {number} options.days - How many days back to include
+ * @param {string|null} options.since - Earliest date to include (YYYY-MM-DD), overrides days
+ * @param {string|null} options.until - Latest date to include (YYYY-MM-DD)
+ * @param {string|null} options.repo - Only requests from repositories whose path contains this
+ * @param {number} options.limit - Show at most this many of the latest requests
+ * @param {boolean} options.full - Also print the recorded prompt and response
+ * @param {Object} options.audit - Audit settings from config
+ * @returns {Promise<void>}
+ */
+export async function showAudit(options = {}) {
+  const { days = 7, since = null, until = null, repo = null, limit = 50, full = false, audit = {} } = options;
+
+  try {
+    const from = since ? new Date(`${since}T00:00:00`) : new Date();
+    if (!since) {
+      from.setHours(0, 0, 0, 0);
+      from.setDate(from.getDate() - (days - 1));
+    }
+    const to = until ? new Date(`${until}T23:59:59.999`) : null;
+
+    if (isNaN(from) || (to && isNaN(to))) {
+      console.log(chalk.yellow(i18n.t('audit.invalidDate')));
+      return;
+    }
+
+    const log = new AuditLog(audit);
+    const entries = log.read({ since: from, until: to, repo });
+
+    console.log();
+    console.log(chalk.cyan.bold(`🔎 ${i18n.t('audit.title', { from: from.toISOString().slice(0, 10) })}`));
+    console.log(chalk.dim('━'.repeat(Math.min(process.stdout.columns - 2 || 78, 80))));
+
+    if (!log.isEnabled()) {
+      console.log(chalk.dim(i18n.t('audit.disabled')));
+    }
+
+    if (entries.length === 0) {
+      console.log(chalk.yellow(`\n${i18n.t('audit.empty')}\n`));
+      return;
+    }
+
+    console.log();
+    for (const entry of entries.slice(-limit)) {
+      showEntry(entry, full);
+    }
+
+    const totalBytes = entries.reduce((sum, e) => sum + (e.contextBytes || 0), 0);
+    const failed = entries.filter(e => e.status === 'error').length;
+
+    console.log();
+    console.log(chalk.white.bold(i18n.plural('audit.requests', entries.length)) + chalk.dim(` · ${i18n.t('audit.sent', { size: formatBytes(totalBytes) })}`));
+    if (failed > 0) {
+      console.log(chalk.dim(i18n.t('audit.failed', { count: failed })));
+    }
+    if (entries.length > limit) {
+      console.log(chalk.dim(i18n.t('audit.truncated', { shown: limit, total: entries.length })));
+    }
+    console.log();
+  } catch (error) {
+    console.error(i18n.t('output.prefixes.error'), error.message);
+    throw error;
+  }
+}
+
+/**
+ * Prints one audit entry
+ * @param {Object} entry - Audit log entry
+ * @param {boolean} full - Include the recorded prompt and response
+ */
+function showEntry(entry, full) {
+  const time = entry.timestamp.slice(0, 19).replace('T', ' ');
+  const status = STATUS_MARKERS[entry.status] || STATUS_MARKERS.ok;
+  const repo = entry.repo ? path.basename(entry.repo) : '-';
+
+  console.log(
+    `  ${status} ` +
+    chalk.dim(time) + '  ' +
+    chalk.white((entry.type || '-').padEnd(8)) +
+    chalk.cyan(`${entry.provider} · ${entry.model}`) + '  ' +
+    chalk.dim(`${repo} · ${formatBytes(entry.contextBytes || 0)}`)
+  );
+
+  if (entry.error) {
+    console.log(chalk.red(`      ${entry.error}`));
+  }
+
+  if (full && entry.context !== undefined) {
+    console.log(chalk.dim(`      ${i18n.t('audit.prompt')}`));
+    console.log(indent(entry.systemPrompt || ''));
+    console.log(indent(entry.context || ''));
+    console.log(chalk.dim(`      ${i18n.t('audit.response')}`));
+    console.log(indent(entry.response || ''));
+  }
+}
+
+/**
+ * Indents every line of a block of text
+ * @param {string} text - Text to indent
+ * @returns {string} Indented text
+ */
+function indent(text) {
+  return text.split('\n').map(line => `        ${line}`).join('\n');
+}
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -1,28 +1,49 @@
+import chalk from 'chalk';
 import i18n from '../services/i18n.js';
 
+/**
+ * Checks out a branch, or creates one with an AI-generated name
+ * @param {Object} repo - Git repository instance
+ * @param {Object} provider - LLM provider instance
+ * @param {Object} options - Command options
+ * @param {string|null} options.name - Branch to check out
+ * @param {boolean} options.create - Create the branch first (checkout -b)
+ * @param {string|null} options.context - Description of the work, used for the generated name
+ * @param {boolean} options.shouldGenerateName - Generate the name and create the branch
+ * @returns {Promise<void>}
+ */
 export async function gitCheckout(repo, provider, options) {
-  const { name = null, context = null, shouldGenerateName = false } = options;
-  const branchsContext = await repo.getBranches({ count: 10 });
-
-  console.log(options);
+  const { name = null, context = null, create = false, shouldGenerateName = false } = options;
 
   try {
-    const branchName = shouldGenerateName
-       ? "ai_generated"
-       : name
-      // : await provider.generateBranchName(context) 
-    
     if (shouldGenerateName) {
-      // repo.createBranch(branchName, true);
-      console.log("creating and checking out to branch ", branchName)
+      // Without a description, name the branch after the pending changes
+      const branchContext = context || repo.diff([], { staged: true }) || repo.diff();
+
+      if (!branchContext) {
+        console.log(chalk.yellow(i18n.t('git.checkout.noContext')));
+        return;
+      }
+
+      const branchName = (await provider.generateBranchName(branchContext)).trim();
+      repo.createBranch(branchName, true);
+      console.log(chalk.green('✓ ') + i18n.t('git.checkout.created', { branch: chalk.bold(branchName) }));
     } else {
-      // repo.checkout(branchName)
-      console.log("checking out to branch ", branchName)
+      if (!name) {
+        console.log(chalk.yellow(i18n.t('git.checkout.noBranch')));
+        return;
+      }
+
+      if (create) {
+        repo.createBranch(name, true);
+        console.log(chalk.green('✓ ') + i18n.t('git.checkout.created', { branch: chalk.bold(name) }));
+      } else {
+        repo.checkout(name);
+        console.log(chalk.green('✓ ') + i18n.t('git.checkout.switched', { branch: chalk.bold(name) }));
+      }
     }
   } catch (error) {
     console.error(i18n.t('output.prefixes.error'), error.message);
     throw error;
   }
 }
-
-// function chooseGivenContext()
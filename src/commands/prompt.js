@@ -0,0 +1,56 @@
+import chalk from 'chalk';
+import path from 'path';
+import i18n from '../services/i18n.js';
+import { PROMPT_TEMPLATE_TYPES } from '../services/prompt-templates.js';
+import { estimateTokens } from '../utils/diff-budget.js';
+import { getLanguageName } from '../utils/language.js';
+
+/**
+ * Prints the system prompt a task is sent with, after templates and settings are applied
+ * @param {Object} provider - LLM orchestrator instance
+ * @param {Object} options - Command options
+ * @param {string} options.type - Task type (commit, branch, pr, review)
+ * @param {string} options.repoRoot - Repository root, to show template paths relative to it
+ * @returns {Promise<void>}
+ */
+export async function showPrompt(provider, options = {}) {
+  const { type = 'commit', repoRoot = process.cwd() } = options;
+
+  if (!PROMPT_TEMPLATE_TYPES.includes(type)) {
+    console.log(chalk.yellow(i18n.t('prompt.unknownType', { type, types: PROMPT_TEMPLATE_TYPES.join(', ') })));
+    return;
+  }
+
+  try {
+    const { prompt, template, structured, target } = provider.resolveSystemPrompt(type);
+
+    console.log();
+    console.log(chalk.cyan.bold(`🧾 ${i18n.t('prompt.title', { type })}`));
+    console.log(chalk.dim('━'.repeat(Math.min(process.stdout.columns - 2 || 78, 80))));
+
+    const source = template
+      ? i18n.t(template.extends ? 'prompt.extends' : 'prompt.replaces', { file: path.relative(repoRoot, template.path) })
+      : i18n.t('prompt.builtin');
+
+    console.log(chalk.dim(`  ${i18n.t('prompt.source')}: `) + chalk.white(source));
+    console.log(chalk.dim(`  ${i18n.t('prompt.model')}: `) + chalk.white(`${target.provider} · ${target.model}`));
+    console.log(chalk.dim(`  ${i18n.t('prompt.language')}: `) + chalk.white(getLanguageName(provider.options.generationLanguage)));
+    console.log(chalk.dim(`  ${i18n.t('prompt.tokens')}: `) + chalk.white(`~${estimateTokens(prompt)}`));
+    if (structured) {
+      console.log(chalk.dim(`  ${i18n.t('prompt.structured')}`));
+    }
+
+    // Variables the template names but nothing fills in, usually typos
+    const unknown = [...new Set(prompt.match(/\{\{\s*\w+\s*\}\}/g) || [])];
+    if (template && unknown.length > 0) {
+      console.log(chalk.yellow(`  ⚠ ${i18n.t('prompt.unknownVariables', { variables: unknown.join(', ') })}`));
+    }
+
+    console.log(chalk.dim('━'.repeat(Math.min(process.stdout.columns - 2 || 78, 80))));
+    console.log(prompt);
+    console.log();
+  } catch (error) {
+    console.error(i18n.t('output.prefixes.error'), error.message);
+    throw error;
+  }
+}
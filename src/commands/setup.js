@@ -1,6 +1,15 @@
 import { select, password, confirm, input, editor } from '@inquirer/prompts';
 import chalk from 'chalk';
+import fs from 'fs';
 import i18n from '../services/i18n.js';
+import { parseHeaders } from '../utils/http-agent.js';
+import { getProvider, listProviders } from '../services/providers.js';
+import {
+  COMMIT_CONVENTIONS,
+  BRANCH_CONVENTIONS,
+  DEFAULT_COMMIT_CONVENTION,
+  DEFAULT_BRANCH_CONVENTION
+} from '../utils/conventions.js';
 
 /**
  * Interactive setup wizard for coParrot
@@ -31,31 +40,44 @@ export async function setup() {
     console.log(chalk.cyan.bold('═'.repeat(60)));
     console.log();
 
-    // Step 2: LLM Provider Selection
+    // Step 2: Language for generated commits, branches and PRs
+    const generationLanguage = await selectGenerationLanguage(language);
+
+    // Step 3: LLM Provider Selection
     const provider = await selectProvider();
 
-    // Step 3: API Key Input
-    const apiKey = await promptApiKey(provider);
+    // Step 4: API Key Input (local servers get an endpoint instead)
+    const baseURL = provider === 'local' ? await promptLocalEndpoint() : null;
+    const apiKey = getProvider(provider)?.requiresApiKey === false ? '' : await promptApiKey(provider);
+
+    // Step 5: Advanced Connection (gateways, proxies, custom CAs)
+    const connection = await promptAdvancedConnection(provider, baseURL);
+
+    // Step 6: Model Selection (providers with a default model use it unless they ask)
+    const definition = getProvider(provider);
+    const model = definition?.defaultModel && !definition.askModel
+      ? definition.defaultModel
+      : await promptModelName(provider, { apiKey, baseURL, ...connection });
 
-    // Step 4: Model Selection
-    const model = getDefaultModel(provider);
+    // Step 7: Models per Task
+    const taskModels = await selectTaskModels(provider, model);
 
-    // Step 5: Commit Convention
+    // Step 8: Commit Convention
     const commitConvention = await selectCommitConvention();
 
-    // Step 6: Branch Naming Convention
+    // Step 9: Branch Naming Convention
     const branchNaming = await selectBranchNaming();
 
-    // Step 7: Follow Project Patterns
+    // Step 10: Follow Project Patterns
     const followProjectPatterns = await askFollowProjectPatterns();
 
-    // Step 8: Code Review Preferences
+    // Step 11: Code Review Preferences
     const codeReviewStyle = await selectCodeReviewStyle();
 
-    // Step 9: PR Message Style
+    // Step 12: PR Message Style
     const prMessageStyle = await selectPRMessageStyle();
 
-    // Step 10: Custom Instructions/Observations
+    // Step 13: Custom Instructions/Observations
     const customInstructions = await promptCustomInstructions();
 
     console.log();
@@ -64,9 +86,13 @@ export async function setup() {
 
     return {
       language,
+      generationLanguage,
       provider,
       apiKey,
       model,
+      baseURL,
+      ...connection,
+      taskModels,
       commitConvention,
       branchNaming,
       followProjectPatterns,
@@ -115,6 +141,45 @@ async function selectLanguage() {
   return language;
 }
 
+/**
+ * Language the generated commit messages, branch names and PRs are written in
+ * Teams often keep git history in English while using the interface in another language
+ * @param {string} language - The interface language just chosen
+ * @returns {Promise<string>} Language code, or a name typed by the user
+ */
+async function selectGenerationLanguage(language) {
+  console.log();
+
+  const names = { en: 'English', 'pt-BR': 'Português (Brasil)', es: 'Español' };
+
+  const choice = await select({
+    message: i18n.t('setup.selectGenerationLanguage'),
+    choices: [
+      ...Object.entries(names).map(([value, name]) => ({
+        name: value === language ? `${name} ${chalk.dim(i18n.t('setup.generationLanguage.sameAsInterface'))}` : name,
+        value
+      })),
+      {
+        name: i18n.t('setup.generationLanguage.other'),
+        value: 'other',
+        description: i18n.t('setup.generationLanguage.otherDesc')
+      }
+    ],
+    default: language
+  });
+
+  if (choice !== 'other') {
+    return choice;
+  }
+
+  const other = await input({
+    message: i18n.t('setup.generationLanguage.enterOther'),
+    validate: (value) => value.trim().length > 0 || i18n.t('setup.generationLanguage.required')
+  });
+
+  return other.trim();
+}
+
 /**
  * Provider selection step with descriptions
  */
@@ -123,23 +188,20 @@ async function selectProvider() {
 
   const provider = await select({
     message: i18n.t('setup.selectProvider'),
-    choices: [
-      {
-        name: i18n.t('setup.providers.openai'),
-        value: 'openai',
-        description: i18n.t('setup.providers.openaiDesc')
-      },
-      {
-        name: i18n.t('setup.providers.claude'),
-        value: 'claude',
-        description: i18n.t('setup.providers.claudeDesc')
-      },
-      {
-        name: i18n.t('setup.providers.gemini'),
-        value: 'gemini',
-        description: i18n.t('setup.providers.geminiDesc')
-      }
-    ]
+    choices: listProviders()
+      .filter(name => !getProvider(name).hidden)
+      .map(name => {
+        const definition = getProvider(name);
+        // Built-in providers have translated descriptions
+        const translated = `setup.providers.${name}Desc`;
+        return {
+          name: definition.label || name,
+          value: name,
+          description: i18n.has(translated)
+            ? i18n.t(translated)
+            : definition.description || i18n.t('setup.pluginProviderDesc')
+        };
+      })
   });
 
   return provider;
@@ -158,8 +220,10 @@ async function promptApiKey(provider) {
     'gemini': i18n.t('setup.apiKeyHelpUrls.gemini')
   };
 
-  console.log(chalk.dim('  ' + i18n.t('setup.apiKeyHelp', { url: chalk.cyan(urls[provider]) })));
-  console.log();
+  if (urls[provider]) {
+    console.log(chalk.dim('  ' + i18n.t('setup.apiKeyHelp', { url: chalk.cyan(urls[provider]) })));
+    console.log();
+  }
 
   const apiKey = await password({
     message: i18n.t('setup.enterApiKey', { provider: chalk.bold(provider) }),
@@ -179,49 +243,212 @@ async function promptApiKey(provider) {
 }
 
 /**
- * Get default model for provider
+ * Endpoint input for OpenAI-compatible local servers
  */
-function getDefaultModel(provider) {
-  const defaultModels = {
-    'openai': 'gpt-4',
-    'claude': 'claude-3-5-sonnet-20241022',
-    'gemini': 'gemini-pro'
+async function promptLocalEndpoint() {
+  console.log();
+  console.log(chalk.dim('  ' + i18n.t('setup.localEndpointHelp')));
+  console.log();
+
+  const baseURL = await input({
+    message: i18n.t('setup.enterLocalEndpoint'),
+    default: 'http://localhost:11434/v1',
+    validate: (value) => {
+      try {
+        new URL(value.trim());
+        return true;
+      } catch {
+        return i18n.t('setup.invalidEndpoint');
+      }
+    }
+  });
+
+  return baseURL.trim().replace(/\/+$/, '');
+}
+
+/**
+ * Optional connection settings for corporate gateways
+ * Endpoint, API version and deployment (Azure OpenAI), extra headers, proxy and CA bundle
+ * @returns {Promise<Object>} Settings to merge into the config; empty when skipped
+ */
+async function promptAdvancedConnection(provider, baseURL) {
+  console.log();
+
+  const wantsAdvanced = await confirm({
+    message: i18n.t('setup.wantsAdvancedConnection'),
+    default: false
+  });
+
+  // Every key is set, even when skipped, so the merge with the saved config can't
+  // carry a previous provider's gateway headers, API version or proxy over
+  const connection = { headers: {}, apiVersion: null, deployment: null, proxy: null, caFile: null };
+
+  if (!wantsAdvanced) {
+    return connection;
+  }
+
+  console.log();
+  console.log(chalk.dim('  ' + i18n.t('setup.advancedConnectionHelp')));
+  console.log();
+
+  const optionalUrl = (value) => {
+    if (!value.trim()) return true;
+    try {
+      new URL(value.trim());
+      return true;
+    } catch {
+      return i18n.t('setup.invalidEndpoint');
+    }
   };
 
-  return defaultModels[provider] || 'default';
+  // Local servers already asked for their endpoint
+  if (provider !== 'local') {
+    const endpoint = await input({ message: i18n.t('setup.enterGatewayEndpoint'), validate: optionalUrl });
+    connection.baseURL = endpoint.trim().replace(/\/+$/, '') || baseURL;
+  }
+
+  if (provider === 'openai') {
+    const apiVersion = (await input({ message: i18n.t('setup.enterApiVersion') })).trim();
+    if (apiVersion) {
+      connection.apiVersion = apiVersion;
+      connection.deployment = (await input({ message: i18n.t('setup.enterDeployment') })).trim() || null;
+    }
+  }
+
+  const headers = await input({ message: i18n.t('setup.enterHeaders') });
+  connection.headers = parseHeaders(headers);
+
+  const proxy = await input({ message: i18n.t('setup.enterProxy'), validate: optionalUrl });
+  connection.proxy = proxy.trim() || null;
+
+  const caFile = await input({
+    message: i18n.t('setup.enterCaFile'),
+    validate: (value) => !value.trim() || fs.existsSync(value.trim()) || i18n.t('setup.caFileNotFound')
+  });
+  connection.caFile = caFile.trim() || null;
+
+  return connection;
 }
 
 /**
- * Select commit message convention
+ * Model choice for providers without a sensible default
+ * Lists the models the provider reports, falling back to typing a name
  */
-async function selectCommitConvention() {
+async function promptModelName(provider, settings = {}) {
   console.log();
 
-  const convention = await select({
-    message: i18n.t('setup.selectCommitConvention'),
+  const defaultModel = getDefaultModel(provider);
+  const models = await listAvailableModels(provider, settings);
+
+  if (models.length > 0) {
+    const chosen = await select({
+      message: i18n.t('setup.selectModel'),
+      choices: [
+        ...models.map(name => ({ name, value: name })),
+        { name: i18n.t('setup.otherModel'), value: null }
+      ],
+      default: models.includes(defaultModel) ? defaultModel : models[0]
+    });
+
+    if (chosen) {
+      return chosen;
+    }
+  }
+
+  const model = await input({
+    message: i18n.t('setup.enterModelName'),
+    default: defaultModel,
+    validate: (value) => {
+      if (!value || value.trim().length === 0) {
+        return i18n.t('setup.modelNameRequired');
+      }
+      return true;
+    }
+  });
+
+  return model.trim();
+}
+
+/**
+ * Ask a provider which models it offers
+ * Gives up quietly after a few seconds; the list is only a convenience
+ */
+async function listAvailableModels(provider, settings) {
+  const definition = getProvider(provider);
+  if (!definition?.listModels) {
+    return [];
+  }
+
+  try {
+    const client = definition.createClient({ provider, headers: {}, options: {}, ...settings, timeout: 5000 });
+    const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 5000).unref());
+    const models = await Promise.race([definition.listModels(client), timeout]);
+    return Array.isArray(models) ? models : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Get default model for provider
+ */
+function getDefaultModel(provider) {
+  return getProvider(provider)?.defaultModel || 'default';
+}
+
+/**
+ * Offer a fast model for quick tasks, keeping the main model for the rest
+ * Branch names and per-file diff summaries don't need the strongest model
+ */
+async function selectTaskModels(provider, model) {
+  const fastModel = getFastModel(provider);
+  if (!fastModel || fastModel === model) {
+    return {};
+  }
+
+  console.log();
+
+  const routing = await select({
+    message: i18n.t('setup.selectTaskModels'),
     choices: [
       {
-        name: i18n.t('setup.commitConventions.conventional'),
-        value: 'conventional',
-        description: i18n.t('setup.commitConventions.conventionalDesc')
-      },
-      {
-        name: i18n.t('setup.commitConventions.gitmoji'),
-        value: 'gitmoji',
-        description: i18n.t('setup.commitConventions.gitmojiDesc')
+        name: i18n.t('setup.taskModels.recommended', { fast: fastModel, model }),
+        value: 'recommended',
+        description: i18n.t('setup.taskModels.recommendedDesc')
       },
       {
-        name: i18n.t('setup.commitConventions.simple'),
-        value: 'simple',
-        description: i18n.t('setup.commitConventions.simpleDesc')
-      },
-      {
-        name: i18n.t('setup.commitConventions.custom'),
-        value: 'custom',
-        description: i18n.t('setup.commitConventions.customDesc')
+        name: i18n.t('setup.taskModels.single', { model }),
+        value: 'single',
+        description: i18n.t('setup.taskModels.singleDesc')
       }
     ],
-    default: 'conventional'
+    default: 'recommended'
+  });
+
+  return routing === 'recommended' ? { branch: fastModel, summary: fastModel } : {};
+}
+
+/**
+ * Get a cheap, fast model for provider, if it has one
+ */
+function getFastModel(provider) {
+  return getProvider(provider)?.fastModel || null;
+}
+
+/**
+ * Select commit message convention
+ */
+async function selectCommitConvention() {
+  console.log();
+
+  const convention = await select({
+    message: i18n.t('setup.selectCommitConvention'),
+    choices: Object.entries(COMMIT_CONVENTIONS).map(([value, { label }]) => ({
+      name: i18n.t(`setup.commitConventions.${label}`),
+      value,
+      description: i18n.t(`setup.commitConventions.${label}Desc`)
+    })),
+    default: DEFAULT_COMMIT_CONVENTION
   });
 
   // If custom, ask for the custom format
@@ -263,29 +490,12 @@ async function selectBranchNaming() {
 
   const naming = await select({
     message: i18n.t('setup.selectBranchNaming'),
-    choices: [
-      {
-        name: i18n.t('setup.branchNaming.gitflow'),
-        value: 'gitflow',
-        description: i18n.t('setup.branchNaming.gitflowDesc')
-      },
-      {
-        name: i18n.t('setup.branchNaming.descriptive'),
-        value: 'descriptive',
-        description: i18n.t('setup.branchNaming.descriptiveDesc')
-      },
-      {
-        name: i18n.t('setup.branchNaming.ticket'),
-        value: 'ticket-based',
-        description: i18n.t('setup.branchNaming.ticketDesc')
-      },
-      {
-        name: i18n.t('setup.branchNaming.custom'),
-        value: 'custom',
-        description: i18n.t('setup.branchNaming.customDesc')
-      }
-    ],
-    default: 'gitflow'
+    choices: Object.entries(BRANCH_CONVENTIONS).map(([value, { label }]) => ({
+      name: i18n.t(`setup.branchNaming.${label}`),
+      value,
+      description: i18n.t(`setup.branchNaming.${label}Desc`)
+    })),
+    default: DEFAULT_BRANCH_CONVENTION
   });
 
   // If custom, ask for the custom format
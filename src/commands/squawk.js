@@ -9,6 +9,7 @@ import { filterByGlob, matchesAnyPattern } from '../utils/glob.js';
  * @param {Object} provider - LLM provider instance
  * @param {Object} options - Command options
  * @param {string[]} options.ignore - Glob patterns for files to ignore
+ * @param {AbortSignal} [options.signal] - Stops squawk after the file being processed
  * @returns {Promise<void>}
  */
 export async function squawk(repo, provider, options = {}) {
@@ -35,7 +36,7 @@ export async function squawk(repo, provider, options = {}) {
 
     showSquawkTitle();
 
-    const stats = await processFilesSequentially(repo, provider, ungroupedChanges, groups);
+    const stats = await processFilesSequentially(repo, provider, ungroupedChanges, groups, options.signal);
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     showSquawkSummary(stats, elapsed);
@@ -135,23 +136,31 @@ function showSquawkTitle() {
  * @param {Object} provider - LLM provider instance
  * @param {Array<Object>} changes - Array of changes to process
  * @param {Array<Object>} groups - Array of grouped files
+ * @param {AbortSignal} [signal] - Stops processing before the next item
  * @returns {Promise<Object>} Statistics about commits
  */
-async function processFilesSequentially(repo, provider, changes, groups) {
+async function processFilesSequentially(repo, provider, changes, groups, signal = null) {
   const stats = {
     groupCommits: 0,
     groupFiles: 0,
     individualCommits: 0,
     totalCommits: 0,
-    failed: 0
+    failed: 0,
+    skipped: 0
   };
 
-  const groupStats = await processGroups(repo, provider, groups, changes.length);
+  const groupStats = await processGroups(repo, provider, groups, changes.length, signal);
   stats.groupCommits = groupStats.commits;
   stats.groupFiles = groupStats.files;
+  let stopped = groupStats.stopped;
 
   const totalItems = groups.length + changes.length;
   for (let i = 0; i < changes.length; i++) {
+    if (stopped || signal?.aborted) {
+      stats.skipped += changes.length - i;
+      break;
+    }
+
     const change = changes[i];
     const current = groups.length + i + 1;
 
@@ -159,11 +168,18 @@ async function processFilesSequentially(repo, provider, changes, groups) {
       await processSingleFile(repo, provider, change, current, totalItems);
       stats.individualCommits++;
     } catch (error) {
-      showFileFailure(error.message);
+      if (error.cancelled) {
+        showFileCancelled(repo, [change.value]);
+        stats.skipped += changes.length - i;
+        break;
+      }
+
+      showFileFailure(repo, [change.value], error.message);
       stats.failed++;
     }
   }
 
+  stats.skipped += groupStats.skipped;
   stats.totalCommits = stats.groupCommits + stats.individualCommits;
   return stats;
 }
@@ -174,13 +190,20 @@ async function processFilesSequentially(repo, provider, changes, groups) {
  * @param {Object} provider - LLM provider instance
  * @param {Array<Object>} groups - Array of grouped files
  * @param {number} totalIndividual - Number of individual files
+ * @param {AbortSignal} [signal] - Stops processing before the next group
  * @returns {Promise<Object>} Statistics about group commits
  */
-async function processGroups(repo, provider, groups, totalIndividual) {
-  const stats = { commits: 0, files: 0 };
+async function processGroups(repo, provider, groups, totalIndividual, signal = null) {
+  const stats = { commits: 0, files: 0, skipped: 0, stopped: false };
   const totalItems = groups.length + totalIndividual;
 
   for (let j = 0; j < groups.length; j++) {
+    if (signal?.aborted) {
+      stats.skipped += groups.length - j;
+      stats.stopped = true;
+      break;
+    }
+
     const group = groups[j];
     const current = j + 1;
 
@@ -198,7 +221,14 @@ async function processGroups(repo, provider, groups, totalIndividual) {
       stats.commits++;
       stats.files += group.files.length;
     } catch (error) {
-      showFileFailure(error.message);
+      if (error.cancelled) {
+        showFileCancelled(repo, group.files.map(f => f.value));
+        stats.skipped += groups.length - j;
+        stats.stopped = true;
+        break;
+      }
+
+      showFileFailure(repo, group.files.map(f => f.value), error.message);
     }
   }
 
@@ -277,11 +307,37 @@ function showFileSuccess() {
 }
 
 /**
- * Shows failure message for a committed file (inline X)
+ * Shows failure message for a committed file (inline X) and unstages it,
+ * so a file that failed doesn't end up in the next item's commit
+ * @param {Object} repo - Git repository instance
+ * @param {string[]} files - Files that were staged for the item
+ * @param {string} error - Failure reason
  */
-function showFileFailure(error) {
+function showFileFailure(repo, files, error) {
   console.log(chalk.red('✗'));
   console.log(chalk.red(`  ↳ ${error}`));
+
+  try {
+    repo.restore(files);
+  } catch {
+    // Leaving the files staged is no reason to lose the summary
+  }
+}
+
+/**
+ * Marks the current item as cancelled and unstages it, so the
+ * half-processed file doesn't end up in the user's next commit
+ * @param {Object} repo - Git repository instance
+ * @param {string[]} files - Files that were staged for the item
+ */
+function showFileCancelled(repo, files) {
+  console.log(chalk.yellow('–'));
+
+  try {
+    repo.restore(files);
+  } catch {
+    // Leaving the files staged is no reason to lose the summary
+  }
 }
 
 /**
@@ -318,6 +374,12 @@ function showSquawkSummary(stats, elapsed) {
     });
     console.log(chalk.red(`   • ${failedText}`));
   }
+  if (stats.skipped > 0) {
+    const skippedText = i18n.t('git.squawk.stoppedEarly', {
+      count: stats.skipped
+    });
+    console.log(chalk.yellow(`   • ${skippedText}`));
+  }
 
   const timeText = i18n.t('git.squawk.completedIn', { time: elapsed });
   console.log(chalk.dim(`\n⏱️  ${timeText}`));
@@ -0,0 +1,91 @@
+import chalk from 'chalk';
+import path from 'path';
+import i18n from '../services/i18n.js';
+import UsageLedger, { summarizeUsage } from '../services/usage.js';
+
+/**
+ * Shows token usage and cost totals from the local ledger
+ * @param {Object} options - Command options
+ * @param {number} options.days - How many days back to include
+ * @param {Object} options.prices - Price overrides from config
+ * @returns {Promise<void>}
+ */
+export async function showUsage(options = {}) {
+  const { days = 30, prices = {} } = options;
+
+  try {
+    const since = new Date();
+    since.setHours(0, 0, 0, 0);
+    since.setDate(since.getDate() - (days - 1));
+
+    const ledger = new UsageLedger({ prices });
+    const entries = ledger.read({ since });
+
+    console.log();
+    console.log(chalk.cyan.bold(`📊 ${i18n.t('usage.title', { days })}`));
+    console.log(chalk.dim('━'.repeat(Math.min(process.stdout.columns - 2 || 78, 80))));
+
+    if (entries.length === 0) {
+      console.log(chalk.yellow(`\n${i18n.t('usage.empty')}\n`));
+      return;
+    }
+
+    const [total] = summarizeUsage(entries, () => 'total');
+    console.log();
+    console.log(chalk.white.bold(i18n.t('usage.total')) + '  ' + formatRow(total));
+
+    showSection(i18n.t('usage.byDay'), summarizeUsage(entries, e => e.timestamp.slice(0, 10)));
+    showSection(i18n.t('usage.byType'), summarizeUsage(entries, e => e.type));
+    showSection(i18n.t('usage.byRepo'), summarizeUsage(entries, e => e.repo && path.basename(e.repo)));
+
+    const unpriced = entries.filter(e => e.cost === null).length;
+    if (unpriced > 0) {
+      console.log(chalk.dim(`  * ${i18n.t('usage.unpriced', { count: unpriced })}`));
+    }
+    if (entries.some(e => e.estimated)) {
+      console.log(chalk.dim(`  * ${i18n.t('usage.estimated')}`));
+    }
+    console.log();
+  } catch (error) {
+    console.error(i18n.t('output.prefixes.error'), error.message);
+    throw error;
+  }
+}
+
+/**
+ * Prints one titled group of usage rows
+ * @param {string} title - Section title
+ * @param {Array<Object>} rows - Output of summarizeUsage
+ */
+function showSection(title, rows) {
+  console.log();
+  console.log(chalk.white.bold(title));
+
+  const width = Math.max(...rows.map(r => r.key.length), 10);
+  for (const row of rows) {
+    console.log('  ' + chalk.white(row.key.padEnd(width)) + '  ' + formatRow(row));
+  }
+}
+
+/**
+ * Formats calls, tokens and cost for a usage row
+ * @param {Object} row - Usage row
+ * @returns {string} Colored, aligned row
+ */
+function formatRow(row) {
+  const calls = i18n.plural('usage.calls', row.calls).padStart(10);
+  const input = i18n.t('usage.tokensIn', { count: formatNumber(row.promptTokens) }).padStart(14);
+  const output = i18n.t('usage.tokensOut', { count: formatNumber(row.completionTokens) }).padStart(14);
+  const cost = `$${row.cost.toFixed(row.cost < 1 ? 4 : 2)}`.padStart(10);
+
+  return chalk.dim(calls) + chalk.dim(input) + chalk.dim(output) + chalk.green(cost);
+}
+
+/**
+ * Formats a number with thousands separators
+ * @param {number} value - Number to format
+ * @returns {string} Formatted number
+ */
+function formatNumber(value) {
+  return value.toLocaleString('en-US');
+}
@@ -27,6 +27,7 @@ class CLI {
     this.streamer = new StreamingOutput(this.renderer);
     this.conversationHistory = [];
     this.isRunning = false;
+    this.interruptHandler = null;
   }
 
   /**
@@ -37,8 +38,8 @@ class CLI {
 
     this.isRunning = true;
 
-    // Handle graceful shutdown
-    process.on('SIGINT', () => this.shutdown());
+    // Handle graceful shutdown; a running command may claim Ctrl+C first
+    process.on('SIGINT', () => this.handleInterrupt());
     process.on('SIGTERM', () => this.shutdown());
 
     await this.mainLoop();
@@ -60,6 +61,11 @@ class CLI {
         await this.handleCommand(userInput);
 
       } catch (error) {
+        if (error.cancelled) {
+          // Already reported by whoever cancelled; back to the prompt
+          continue;
+        }
+
         if (error.isTtyError) {
           this.streamer.showError(i18n.t('cli.messages.renderError'));
           break;
@@ -113,6 +119,9 @@ class CLI {
       'add',
       'commit',
       'squawk',
+      'usage',
+      'audit',
+      'prompt',
       'help',
       'clear',
       'history',
@@ -253,7 +262,12 @@ class CLI {
       default:
         // Call custom command handler if provided
         if (this.options.onCommand) {
-          await this.options.onCommand(cmd, args, this);
+          try {
+            await this.options.onCommand(cmd, args, this);
+          } finally {
+            // Handlers only live as long as the command that registered them
+            this.interruptHandler = null;
+          }
         } else {
           this.streamer.showError(i18n.t('cli.messages.unknownCommand', { cmd }));
           this.streamer.showInfo(i18n.t('cli.messages.helpHint'));
@@ -310,6 +324,33 @@ class CLI {
     });
   }
 
+  /**
+   * Routes Ctrl+C to the running command, or quits when nothing claimed it
+   */
+  handleInterrupt() {
+    // A handler returns false when it had nothing to stop
+    if (this.interruptHandler && this.interruptHandler() !== false) {
+      return;
+    }
+
+    this.shutdown();
+  }
+
+  /**
+   * Lets a running command handle Ctrl+C instead of quitting the CLI
+   * @param {Function} handler - Called on each Ctrl+C while registered; returning false quits as usual
+   * @returns {Function} Unregisters the handler
+   */
+  onInterrupt(handler) {
+    this.interruptHandler = handler;
+
+    return () => {
+      if (this.interruptHandler === handler) {
+        this.interruptHandler = null;
+      }
+    };
+  }
+
   /**
    * Shutdown the CLI gracefully
    */
@@ -187,7 +187,7 @@ class StreamingOutput {
     // Display repository stats status bar
     const stats = getRepoStats();
     if (stats) {
-      displayRepoStats(stats, version);
+      displayRepoStats(stats, version, config);
     }
 
     // Show helpful info for first-time users
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from './config.js';
+
+/**
+ * Default audit settings, overridable through the `audit` config key
+ */
+export const DEFAULT_AUDIT_OPTIONS = {
+  enabled: true,
+  includeContent: false,
+  maxSizeMB: 5,
+  maxFiles: 5
+};
+
+/**
+ * Local record of every request sent to a provider, one JSON line per call
+ * The live file is audit.jsonl; once it passes maxSizeMB it is rotated to
+ * audit.1.jsonl, audit.2.jsonl and so on, keeping at most maxFiles old files
+ */
+class AuditLog {
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_AUDIT_OPTIONS,
+      path: path.join(getConfigDir(), 'audit.jsonl'),
+      ...options
+    };
+  }
+
+  isEnabled() {
+    return this.options.enabled !== false;
+  }
+
+  /**
+   * Appends one provider call to the log
+   * The prompt and response are kept only when includeContent is on
+   * @param {Object} entry - { provider, model, type, repo, status, error, systemPrompt, context, response }
+   * @returns {Object|null} The stored entry, or null when auditing is off
+   */
+  record(entry) {
+    if (!this.isEnabled()) return null;
+
+    const { systemPrompt, context, response, ...fields } = entry;
+    const contextText = typeof context === 'string' ? context : JSON.stringify(context ?? '');
+
+    const stored = {
+      timestamp: new Date().toISOString(),
+      ...fields,
+      contextBytes: Buffer.byteLength(contextText, 'utf-8')
+    };
+
+    if (this.options.includeContent) {
+      stored.systemPrompt = systemPrompt;
+      stored.context = contextText;
+      stored.response = response ?? null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.options.path), { recursive: true });
+      this._rotate();
+      fs.appendFileSync(this.options.path, JSON.stringify(stored) + '\n', 'utf-8');
+    } catch {
+      // Auditing must never break a generation
+    }
+
+    return stored;
+  }
+
+  /**
+   * Reads log entries across rotated files
+   * @param {Object} options - Filters
+   * @param {Date} [options.since] - Earliest timestamp to include
+   * @param {Date} [options.until] - Latest timestamp to include
+   * @param {string} [options.repo] - Only entries whose repo path contains this text
+   * @returns {Array<Object>} Entries, oldest first
+   */
+  read(options = {}) {
+    const entries = [];
+
+    for (const file of this._files().reverse()) {
+      if (!fs.existsSync(file)) continue;
+
+      for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+        if (!line.trim()) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          // Skip lines that were cut off mid-write
+          continue;
+        }
+
+        const time = new Date(entry.timestamp);
+        if (options.since && time < options.since) continue;
+        if (options.until && time > options.until) continue;
+        if (options.repo && !(entry.repo || '').includes(options.repo)) continue;
+
+        entries.push(entry);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Log files, newest first
+   * @private
+   */
+  _files() {
+    const { dir, name, ext } = path.parse(this.options.path);
+    const rotated = Array.from({ length: this.options.maxFiles }, (_, i) => path.join(dir, `${name}.${i + 1}${ext}`));
+    return [this.options.path, ...rotated];
+  }
+
+  /**
+   * Shifts the log files along when the live one is full
+   * @private
+   */
+  _rotate() {
+    let size;
+    try {
+      size = fs.statSync(this.options.path).size;
+    } catch {
+      return;
+    }
+
+    if (size < this.options.maxSizeMB * 1024 * 1024) return;
+
+    const files = this._files();
+    fs.rmSync(files[files.length - 1], { force: true });
+
+    for (let i = files.length - 2; i >= 0; i--) {
+      if (fs.existsSync(files[i])) {
+        fs.renameSync(files[i], files[i + 1]);
+      }
+    }
+  }
+}
+
+export default AuditLog;
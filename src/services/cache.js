@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getConfigDir } from './config.js';
+
+/**
+ * Default cache settings, overridable through the `cache` config key
+ */
+export const DEFAULT_CACHE_OPTIONS = {
+  enabled: true,
+  ttlHours: 72,
+  maxSizeMB: 20
+};
+
+/**
+ * On-disk cache of LLM responses
+ * Entries live as one JSON file each under ~/.config/coparrot/cache,
+ * keyed by a hash of everything that shapes the generation
+ */
+class ResponseCache {
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_CACHE_OPTIONS,
+      dir: path.join(getConfigDir(), 'cache'),
+      ...options
+    };
+  }
+
+  /**
+   * Whether reads and writes should happen at all
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.options.enabled !== false;
+  }
+
+  /**
+   * Builds a stable cache key
+   * @param {Object} parts - Provider, model, system prompt and context
+   * @returns {string} Hex sha256 digest
+   */
+  key({ provider, model, systemPrompt, context }) {
+    const payload = JSON.stringify([provider, model, systemPrompt, context]);
+    return crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * Reads a cached response, dropping it if expired
+   * @param {string} key - Cache key
+   * @returns {string|null} Cached response or null on miss
+   */
+  get(key) {
+    if (!this.isEnabled()) return null;
+
+    const file = this._entryPath(key);
+    try {
+      const entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      const ttlMs = this.options.ttlHours * 60 * 60 * 1000;
+
+      if (Date.now() - entry.createdAt > ttlMs) {
+        fs.unlinkSync(file);
+        return null;
+      }
+
+      return entry.response;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Stores a response and trims the cache back under its size cap
+   * @param {string} key - Cache key
+   * @param {string} response - Response text
+   * @param {Object} meta - Extra fields kept alongside the response (provider, model)
+   */
+  set(key, response, meta = {}) {
+    if (!this.isEnabled() || !response) return;
+
+    try {
+      fs.mkdirSync(this.options.dir, { recursive: true });
+      const entry = { createdAt: Date.now(), ...meta, response };
+      fs.writeFileSync(this._entryPath(key), JSON.stringify(entry), 'utf-8');
+      this.prune();
+    } catch {
+      // A cache that can't be written is just a cache miss next time
+    }
+  }
+
+  /**
+   * Drops one entry, e.g. a response that turned out to be unusable
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    try {
+      fs.unlinkSync(this._entryPath(key));
+    } catch {
+      // Never cached, or already gone
+    }
+  }
+
+  /**
+   * Deletes expired entries, then the oldest ones until under maxSizeMB
+   */
+  prune() {
+    let files;
+    try {
+      files = fs.readdirSync(this.options.dir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => {
+          const file = path.join(this.options.dir, name);
+          const { size, mtimeMs } = fs.statSync(file);
+          return { file, size, mtimeMs };
+        })
+        .sort((a, b) => a.mtimeMs - b.mtimeMs);
+    } catch {
+      return;
+    }
+
+    const ttlMs = this.options.ttlHours * 60 * 60 * 1000;
+    const maxBytes = this.options.maxSizeMB * 1024 * 1024;
+    let total = files.reduce((sum, f) => sum + f.size, 0);
+
+    for (const f of files) {
+      const expired = Date.now() - f.mtimeMs > ttlMs;
+      if (!expired && total <= maxBytes) continue;
+
+      try {
+        fs.unlinkSync(f.file);
+        total -= f.size;
+      } catch {
+        // Already gone
+      }
+    }
+  }
+
+  /**
+   * Removes every cached entry
+   */
+  clear() {
+    fs.rmSync(this.options.dir, { recursive: true, force: true });
+  }
+
+  /**
+   * @private
+   */
+  _entryPath(key) {
+    return path.join(this.options.dir, `${key}.json`);
+  }
+}
+
+export default ResponseCache;
@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Default cassette settings, overridable through the `cassettes` config key
+ * Mode is 'off', 'record' or 'replay'; a relative dir resolves against the repo root
+ */
+export const DEFAULT_CASSETTE_OPTIONS = {
+  mode: 'off',
+  dir: '.coparrot/cassettes'
+};
+
+/**
+ * Raised in replay mode when a request has no recorded cassette
+ */
+export class CassetteMissError extends Error {
+  constructor(hash, request, dir) {
+    super(`No cassette for ${request.provider}/${request.model} ${request.type} request ${hash.slice(0, 12)} in ${dir}. Run with --record to capture it.`);
+    this.name = 'CassetteMissError';
+    this.hash = hash;
+    this.file = path.join(dir, `${hash}.json`);
+  }
+}
+
+/**
+ * Stores provider request/response pairs on disk so prompt changes can be
+ * checked against recorded answers without calling a real API
+ * Each exchange is one JSON file named after the hash of its request
+ */
+class CassetteStore {
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_CASSETTE_OPTIONS,
+      ...options
+    };
+    this.dir = path.resolve(this.options.basePath || process.cwd(), this.options.dir);
+  }
+
+  isRecording() {
+    return this.options.mode === 'record';
+  }
+
+  isReplaying() {
+    return this.options.mode === 'replay';
+  }
+
+  /**
+   * Hashes everything that is sent to the provider
+   * @param {Object} request - { provider, model, type, systemPrompt, context }
+   * @returns {string} Hex sha256 digest
+   */
+  hash({ provider, model, type, systemPrompt, context }) {
+    const payload = JSON.stringify([provider, model, type, systemPrompt, context]);
+    return crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * Saves one exchange, overwriting an older recording of the same request
+   * @param {Object} request - { provider, model, type, systemPrompt, context }
+   * @param {Object} response - { text, usage }
+   * @returns {string} Path of the cassette file
+   */
+  record(request, response) {
+    const file = path.join(this.dir, `${this.hash(request)}.json`);
+    const cassette = { recordedAt: new Date().toISOString(), request, response };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(cassette, null, 2) + '\n', 'utf-8');
+
+    return file;
+  }
+
+  /**
+   * Looks up the recorded response for a request
+   * @param {Object} request - { provider, model, type, systemPrompt, context }
+   * @returns {Object} Recorded { text, usage }
+   * @throws {CassetteMissError} When nothing was recorded for this request
+   */
+  replay(request) {
+    const hash = this.hash(request);
+    const file = path.join(this.dir, `${hash}.json`);
+
+    if (!fs.existsSync(file)) {
+      throw new CassetteMissError(hash, request, this.dir);
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf-8')).response;
+  }
+}
+
+export default CassetteStore;
@@ -0,0 +1,250 @@
+import i18n from './i18n.js';
+import { getCommitTypes } from '../utils/commit-message.js';
+import { COMMIT_CONVENTIONS } from '../utils/conventions.js';
+import { parseCustomFormat, matchesCustomFormat } from '../utils/custom-format.js';
+
+/**
+ * Rules every convention starts from, overridable through the `commitLint` config key
+ * A rule set to false or null is not checked
+ */
+export const DEFAULT_LINT_RULES = {
+  // Allowed types; null means the convention's own list
+  types: null,
+  headerMaxLength: 72,
+  // 'lower' (fix: add x), 'sentence' (✨ Add x) or false
+  subjectCase: 'lower',
+  subjectFullStop: true,
+  imperativeMood: true,
+  bodyLeadingBlank: true,
+  bodyMaxLineLength: 72,
+  // Regex source for ticket references, e.g. "[A-Z][A-Z0-9]+-\\d+"
+  ticketPattern: null,
+  // false, 'header' or 'anywhere'
+  ticketRequired: false,
+  // The custom convention's format; the header has to fit its template
+  format: null
+};
+
+/**
+ * Per-convention adjustments on top of DEFAULT_LINT_RULES
+ */
+export const CONVENTION_LINT_RULES = Object.fromEntries(
+  Object.entries(COMMIT_CONVENTIONS).map(([name, convention]) => [name, convention.lint])
+);
+
+// First words that end like past tense, gerunds or third person but are fine
+const IMPERATIVE_EXCEPTIONS = new Set([
+  'address', 'alias', 'bias', 'bring', 'bypass', 'canvas', 'embed', 'feed', 'focus',
+  'need', 'pass', 'ping', 'process', 'proceed', 'redis', 'seed', 'speed', 'status',
+  'string', 'succeed'
+]);
+
+// Lines that can't be wrapped without breaking them
+const UNWRAPPABLE_LINE = /https?:\/\/|^\s*[-*]?\s*\S+$/;
+
+/**
+ * Resolves the rules for a convention from defaults and config
+ * @param {string} convention - Commit convention name
+ * @param {Object} config - The `commitLint` config ({ rules, conventions })
+ * @returns {Object} Effective rules
+ */
+export function getLintRules(convention, config = {}) {
+  return {
+    ...DEFAULT_LINT_RULES,
+    ...CONVENTION_LINT_RULES[convention],
+    ...config.rules,
+    ...config.conventions?.[convention]
+  };
+}
+
+/**
+ * Splits a header into type and subject for a convention
+ * @param {string} header - First line of the message
+ * @param {string} convention - Commit convention name
+ * @returns {{type: string|null, subject: string, prefix: string}|null} Parts, or null if the header doesn't fit the convention
+ */
+export function parseCommitHeader(header, convention) {
+  let match;
+
+  switch (convention) {
+    case 'conventional':
+    case 'angular':
+      match = header.match(/^((\w+)(?:\([^)]*\))?!?: )(.*)$/);
+      return match ? { prefix: match[1], type: match[2], subject: match[3] } : null;
+    case 'semantic':
+      match = header.match(/^(\S+ (\w+)(?:\([^)]*\))?!?: )(.*)$/u);
+      return match ? { prefix: match[1], type: match[2], subject: match[3] } : null;
+    case 'gitmoji':
+      match = header.match(/^((?:\p{Extended_Pictographic}\S*|:\w+:) )(.*)$/u);
+      return match ? { prefix: match[1], type: null, subject: match[2] } : null;
+    default:
+      return { prefix: '', type: null, subject: header };
+  }
+}
+
+/**
+ * Checks a commit message against the rules
+ * @param {string} message - Complete commit message
+ * @param {string} convention - Commit convention name
+ * @param {Object} rules - Output of getLintRules
+ * @returns {Array<{rule: string, message: string}>} Violations, empty when the message passes
+ *
+ * @example
+ * lintCommitMessage('feat: Added login.', 'conventional', getLintRules('conventional'));
+ * // [{ rule: 'subjectCase', ... }, { rule: 'subjectFullStop', ... }, { rule: 'imperativeMood', ... }]
+ */
+export function lintCommitMessage(message, convention, rules) {
+  const violations = [];
+  const add = (rule, params = {}) => violations.push({ rule, message: i18n.t(`lint.rules.${rule}`, params) });
+
+  const lines = (message || '').split('\n');
+  const header = lines[0] || '';
+  const parts = parseCommitHeader(header, convention);
+
+  if (!parts) {
+    add('headerFormat', { convention });
+  } else if (convention === 'custom' && rules.format && !matchesCustomFormat(header, rules.format)) {
+    add('customFormat', { template: parseCustomFormat(rules.format).template });
+  }
+
+  const subject = parts ? parts.subject : header;
+
+  if (rules.types !== false && parts?.type) {
+    const types = rules.types || getCommitTypes(convention);
+    if (!types.includes(parts.type)) {
+      add('types', { type: parts.type, types: types.join(', ') });
+    }
+  }
+
+  if (rules.headerMaxLength && header.length > rules.headerMaxLength) {
+    add('headerMaxLength', { length: header.length, max: rules.headerMaxLength });
+  }
+
+  if (rules.subjectCase === 'lower' && /^[A-Z][a-z]/.test(subject)) {
+    add('subjectCase', { expected: i18n.t('lint.cases.lower') });
+  } else if (rules.subjectCase === 'sentence' && /^[a-z]/.test(subject)) {
+    add('subjectCase', { expected: i18n.t('lint.cases.sentence') });
+  }
+
+  if (rules.subjectFullStop && /\.\s*$/.test(subject) && !/\.\.\.\s*$/.test(subject)) {
+    add('subjectFullStop');
+  }
+
+  if (rules.imperativeMood) {
+    const word = (subject.match(/^[A-Za-z]+/)?.[0] || '').toLowerCase();
+    if (!IMPERATIVE_EXCEPTIONS.has(word) && /(ed|ing|[^s]s)$/.test(word) && word.length > 3) {
+      add('imperativeMood', { word });
+    }
+  }
+
+  if (rules.bodyLeadingBlank && lines.length > 1 && lines[1].trim() !== '') {
+    add('bodyLeadingBlank');
+  }
+
+  if (rules.bodyMaxLineLength) {
+    const long = lines.slice(1).filter(line => line.length > rules.bodyMaxLineLength && !UNWRAPPABLE_LINE.test(line));
+    if (long.length > 0) {
+      add('bodyMaxLineLength', { count: long.length, max: rules.bodyMaxLineLength });
+    }
+  }
+
+  if (rules.ticketRequired && rules.ticketPattern) {
+    const pattern = new RegExp(rules.ticketPattern);
+    const haystack = rules.ticketRequired === 'header' ? header : message;
+    if (!pattern.test(haystack)) {
+      add('ticketRequired', { pattern: rules.ticketPattern, where: rules.ticketRequired });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Fixes what can be fixed without asking the model again:
+ * subject case, trailing period, missing blank line and body wrapping
+ * @param {string} message - Complete commit message
+ * @param {string} convention - Commit convention name
+ * @param {Object} rules - Output of getLintRules
+ * @returns {{message: string, fixed: string[]}} Fixed message and the rules it fixed
+ */
+export function fixCommitMessage(message, convention, rules) {
+  const fixed = [];
+  const lines = (message || '').split('\n');
+  const parts = parseCommitHeader(lines[0] || '', convention);
+
+  if (parts) {
+    let subject = parts.subject;
+
+    if (rules.subjectCase === 'lower' && /^[A-Z][a-z]/.test(subject)) {
+      subject = subject.charAt(0).toLowerCase() + subject.slice(1);
+      fixed.push('subjectCase');
+    } else if (rules.subjectCase === 'sentence' && /^[a-z]/.test(subject)) {
+      subject = subject.charAt(0).toUpperCase() + subject.slice(1);
+      fixed.push('subjectCase');
+    }
+
+    if (rules.subjectFullStop && /\.\s*$/.test(subject) && !/\.\.\.\s*$/.test(subject)) {
+      subject = subject.replace(/\.\s*$/, '');
+      fixed.push('subjectFullStop');
+    }
+
+    lines[0] = parts.prefix + subject;
+  }
+
+  if (rules.bodyLeadingBlank && lines.length > 1 && lines[1].trim() !== '') {
+    lines.splice(1, 0, '');
+    fixed.push('bodyLeadingBlank');
+  }
+
+  if (rules.bodyMaxLineLength) {
+    const body = lines.slice(1);
+    const wrapped = body.flatMap(line => wrapLine(line, rules.bodyMaxLineLength));
+    if (wrapped.length !== body.length) {
+      lines.splice(1, body.length, ...wrapped);
+      fixed.push('bodyMaxLineLength');
+    }
+  }
+
+  return { message: lines.join('\n'), fixed };
+}
+
+/**
+ * Wraps one body line at a width, keeping list markers aligned
+ * @param {string} line - Body line
+ * @param {number} width - Maximum line length
+ * @returns {string[]} One or more lines
+ */
+function wrapLine(line, width) {
+  if (line.length <= width || UNWRAPPABLE_LINE.test(line)) {
+    return [line];
+  }
+
+  const indent = line.match(/^\s*(?:[-*]\s+)?/)[0];
+  const continuation = ' '.repeat(indent.length);
+  const result = [];
+  let current = indent;
+  let hasWords = false;
+
+  for (const word of line.slice(indent.length).split(/\s+/).filter(Boolean)) {
+    const candidate = hasWords ? `${current} ${word}` : `${current}${word}`;
+    if (candidate.length > width && hasWords) {
+      result.push(current);
+      current = `${continuation}${word}`;
+    } else {
+      current = candidate;
+    }
+    hasWords = true;
+  }
+
+  result.push(current);
+  return result;
+}
+
+export default {
+  DEFAULT_LINT_RULES,
+  CONVENTION_LINT_RULES,
+  getLintRules,
+  parseCommitHeader,
+  lintCommitMessage,
+  fixCommitMessage
+};
@@ -3,6 +3,7 @@ import os from 'os';
 import path from 'path';
 import chalk from 'chalk';
 import { setup } from '../commands/setup.js';
+import { getProvider } from './providers.js';
 import i18n from './i18n.js';
 
 const CONFIG_DIR = path.join(os.homedir(), '.config', 'coparrot');
@@ -13,9 +14,70 @@ const CONFIG_PATH = path.join(CONFIG_DIR, 'config.json');
  */
 const DEFAULT_CONFIG = {
   language: 'en',
+  // Language of generated commit messages, branch names and PRs; `language` is the interface
+  generationLanguage: 'en',
   provider: null,
   model: null,
   apiKey: null,
+  baseURL: null,
+  headers: {},
+  apiVersion: null,
+  deployment: null,
+  proxy: null,
+  caFile: null,
+  timeout: 60000,
+  fallbackProviders: [],
+  taskModels: {},
+  providerPlugins: [],
+  // latencyMs is left unset so the fixtures file can provide it
+  mock: {
+    fixtures: null
+  },
+  stream: true,
+  candidates: 1,
+  largeDiff: {
+    strategy: 'auto',
+    summarizeThreshold: 3,
+    tokenBudget: null
+  },
+  prices: {},
+  cache: {
+    enabled: true,
+    ttlHours: 72,
+    maxSizeMB: 20
+  },
+  audit: {
+    enabled: true,
+    includeContent: false,
+    maxSizeMB: 5,
+    maxFiles: 5
+  },
+  cassettes: {
+    mode: 'off',
+    dir: '.coparrot/cassettes'
+  },
+  retry: {
+    maxAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000
+  },
+  structuredCommits: {
+    enabled: true,
+    maxCorrections: 2
+  },
+  commitLint: {
+    enabled: true,
+    autoRegenerate: 1,
+    rules: {},
+    conventions: {}
+  },
+  redaction: {
+    enabled: true,
+    blockOnSecrets: false,
+    emails: true,
+    allow: [],
+    patterns: []
+  },
   commitConvention: {
     type: 'conventional',
     format: null
@@ -137,10 +199,13 @@ export async function setupConfig() {
  * @returns {boolean} True if valid
  */
 export function isConfigValid(config) {
+  // Providers such as local servers and the mock run without a key
+  const needsApiKey = getProvider(config?.provider)?.requiresApiKey !== false;
+
   return !!(
     config &&
     config.provider &&
-    config.apiKey &&
+    (config.apiKey || !needsApiKey) &&
     config.language
   );
 }
@@ -153,6 +218,15 @@ export function getConfigPath() {
   return CONFIG_PATH;
 }
 
+/**
+ * Get configuration directory path
+ * Other local state (cache, logs) lives next to the config file
+ * @returns {string} Path to config directory
+ */
+export function getConfigDir() {
+  return CONFIG_DIR;
+}
+
 /**
  * Get the current language from config
  * @returns {string} Language code
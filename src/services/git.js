@@ -220,6 +220,18 @@ class GitRepository {
     return this.exec(cmd);
   }
 
+  /**
+   * Get the repository's top-level directory
+   * @returns {string} Absolute path to the repository root
+   */
+  getRepoRoot() {
+    try {
+      return this.exec('git rev-parse --show-toplevel').trim();
+    } catch (error) {
+      return this.repoPath;
+    }
+  }
+
   /**
    * Get current branch name
    * @returns {string} Branch name
@@ -0,0 +1,245 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { getConfigDir } from './config.js';
+
+/**
+ * Default analysis settings, mirroring the `followProjectPatterns` config key
+ */
+export const DEFAULT_HISTORY_OPTIONS = {
+  enabled: true,
+  // Number of recent commits to read; 0 means the whole history, up to MAX_COMMITS
+  analyzeDepth: 25,
+  analyzeCommits: true,
+  analyzeBranches: true,
+  ttlHours: 24
+};
+
+// "All history" still stops somewhere on very old repositories
+const MAX_COMMITS = 1000;
+
+// How many real subjects / branch names end up in the prompt
+const MAX_EXAMPLES = 5;
+
+// Long-lived branches that say nothing about how topic branches are named
+const MAIN_BRANCHES = new Set(['main', 'master', 'develop', 'development', 'dev', 'trunk', 'HEAD']);
+
+// Commits git or hosting platforms write on their own
+const GENERATED_SUBJECT = /^(Merge (branch|pull request|remote-tracking branch)|Revert ")|^(wip|WIP)\b/;
+
+const SUBJECT_PATTERN = /^(?:(\p{Extended_Pictographic}[\u{FE0F}\u{200D}\p{Extended_Pictographic}]*|:\w+:)\s*)?(?:(\w+)(?:\(([^)]+)\))?!?:\s+)?(.*)$/u;
+
+/**
+ * Works out the team's commit and branch habits from repository history
+ * @param {Object} repo - GitRepository instance
+ * @param {Object} options - Analysis settings (see DEFAULT_HISTORY_OPTIONS)
+ * @returns {{commits: Object|null, branches: Object|null}} Commit and branch profiles
+ */
+export function analyzeHistory(repo, options = {}) {
+  const settings = { ...DEFAULT_HISTORY_OPTIONS, ...options };
+
+  return {
+    commits: settings.analyzeCommits !== false ? analyzeCommits(readSubjects(repo, settings.analyzeDepth)) : null,
+    branches: settings.analyzeBranches !== false ? analyzeBranches(readBranches(repo)) : null
+  };
+}
+
+/**
+ * Commit style found in a list of subjects, newest first
+ * @param {string[]} subjects - Commit subject lines
+ * @returns {Object|null} Profile, or null when there is nothing to learn from
+ *
+ * @example
+ * analyzeCommits(['feat(api): add search', 'fix: handle empty diff']);
+ * // { count: 2, types: [{ value: 'feat', count: 1 }, ...], casing: 'lower', emojiRatio: 0, ... }
+ */
+export function analyzeCommits(subjects) {
+  const parsed = subjects
+    .map(subject => subject.trim())
+    .filter(subject => subject && !GENERATED_SUBJECT.test(subject))
+    .map(parseSubject);
+
+  if (parsed.length === 0) {
+    return null;
+  }
+
+  const typed = parsed.filter(commit => commit.type);
+  const lower = parsed.filter(commit => /^[a-z]/.test(commit.description)).length;
+  const upper = parsed.filter(commit => /^[A-Z]/.test(commit.description)).length;
+  const lengths = parsed.map(commit => commit.subject.length).sort((a, b) => a - b);
+
+  return {
+    count: parsed.length,
+    typedRatio: ratio(typed.length, parsed.length),
+    types: countValues(typed.map(commit => commit.type)),
+    scopes: countValues(typed.map(commit => commit.scope).filter(Boolean)),
+    emojiRatio: ratio(parsed.filter(commit => commit.emoji).length, parsed.length),
+    casing: lower >= upper * 3 ? 'lower' : upper >= lower * 3 ? 'sentence' : 'mixed',
+    trailingPeriodRatio: ratio(parsed.filter(commit => /\.$/.test(commit.subject)).length, parsed.length),
+    medianLength: lengths[Math.floor(lengths.length / 2)],
+    examples: pickCommitExamples(parsed)
+  };
+}
+
+/**
+ * Branch naming found in a list of branch names
+ * @param {string[]} names - Branch names without remote prefixes
+ * @returns {Object|null} Profile, or null when only main branches exist
+ */
+export function analyzeBranches(names) {
+  const topic = [...new Set(names)].filter(name => !MAIN_BRANCHES.has(name));
+
+  if (topic.length === 0) {
+    return null;
+  }
+
+  const prefixes = topic.filter(name => name.includes('/')).map(name => name.split('/')[0]);
+  const ticketed = topic.filter(name => /(^|\/)[A-Z][A-Z0-9]+-\d+/.test(name) || /(^|\/)\d+-/.test(name));
+  const slugs = topic.map(name => name.split('/').pop());
+
+  const separator = slugs.filter(slug => slug.includes('_')).length > slugs.filter(slug => slug.includes('-')).length
+    ? '_'
+    : '-';
+
+  // Favor one example per prefix so the model sees the whole vocabulary
+  const examples = [];
+  for (const { value } of countValues(prefixes)) {
+    const example = topic.find(name => name.startsWith(`${value}/`));
+    if (example && examples.length < MAX_EXAMPLES) examples.push(example);
+  }
+  for (const name of topic) {
+    if (examples.length >= MAX_EXAMPLES) break;
+    if (!examples.includes(name)) examples.push(name);
+  }
+
+  return {
+    count: topic.length,
+    prefixes: countValues(prefixes),
+    ticketRatio: ratio(ticketed.length, topic.length),
+    separator,
+    examples
+  };
+}
+
+/**
+ * Reads the history profile for a repository, from cache when still fresh
+ * The cache is per repository and per settings, and expires after ttlHours
+ * @param {Object} repo - GitRepository instance
+ * @param {Object} options - Analysis settings (see DEFAULT_HISTORY_OPTIONS)
+ * @param {string} [cacheDir] - Where profiles are kept
+ * @returns {Object|null} Profile, or null when disabled
+ */
+export function loadHistoryProfile(repo, options = {}, cacheDir = path.join(getConfigDir(), 'history')) {
+  const settings = { ...DEFAULT_HISTORY_OPTIONS, ...options };
+  if (settings.enabled === false) {
+    return null;
+  }
+
+  const root = repo.getRepoRoot();
+  const key = crypto.createHash('sha256')
+    .update(JSON.stringify([root, settings.analyzeDepth, settings.analyzeCommits, settings.analyzeBranches]))
+    .digest('hex');
+  const file = path.join(cacheDir, `${key.slice(0, 32)}.json`);
+
+  try {
+    const cached = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (Date.now() - cached.analyzedAt < settings.ttlHours * 60 * 60 * 1000) {
+      return cached.profile;
+    }
+  } catch {
+    // Missing or unreadable, analyze again
+  }
+
+  const profile = analyzeHistory(repo, settings);
+
+  try {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ repo: root, analyzedAt: Date.now(), profile }, null, 2), 'utf-8');
+  } catch {
+    // A cold cache only costs a re-analysis next time
+  }
+
+  return profile;
+}
+
+/**
+ * Splits a subject into emoji, type, scope and description
+ * @param {string} subject - Commit subject line
+ * @returns {Object} Parts; missing parts are null
+ */
+function parseSubject(subject) {
+  const match = subject.match(SUBJECT_PATTERN);
+  const [, emoji = null, type = null, scope = null, description = subject] = match || [];
+
+  return {
+    subject,
+    emoji,
+    type: type ? type.toLowerCase() : null,
+    scope: scope || null,
+    description
+  };
+}
+
+/**
+ * Picks subjects that show the common style: one per frequent type first, then recent ones
+ * @param {Array<Object>} parsed - Parsed subjects, newest first
+ * @returns {string[]} Example subjects
+ */
+function pickCommitExamples(parsed) {
+  const usable = parsed.filter(commit => commit.subject.length <= 100);
+  const examples = [];
+
+  for (const { value } of countValues(usable.map(commit => commit.type).filter(Boolean))) {
+    const example = usable.find(commit => commit.type === value);
+    if (example && examples.length < MAX_EXAMPLES) examples.push(example.subject);
+  }
+
+  for (const commit of usable) {
+    if (examples.length >= MAX_EXAMPLES) break;
+    if (!examples.includes(commit.subject)) examples.push(commit.subject);
+  }
+
+  return examples;
+}
+
+function readSubjects(repo, depth) {
+  const limit = depth > 0 ? Math.min(depth, MAX_COMMITS) : MAX_COMMITS;
+  return repo.log({ limit, format: '%s', oneline: false }).split('\n');
+}
+
+function readBranches(repo) {
+  try {
+    return repo.getBranches({ all: true })
+      .filter(name => !name.includes(' -> '))
+      .map(name => name.replace(/^remotes\/[^/]+\//, ''));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Counts occurrences, most frequent first
+ * @param {string[]} values - Values to count
+ * @returns {Array<{value: string, count: number}>}
+ */
+function countValues(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+function ratio(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) / 100 : 0;
+}
+
+export default {
+  DEFAULT_HISTORY_OPTIONS,
+  analyzeHistory,
+  analyzeCommits,
+  analyzeBranches,
+  loadHistoryProfile
+};
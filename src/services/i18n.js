@@ -89,6 +89,16 @@ class I18nService {
     return this.interpolate(value, params);
   }
 
+  /**
+   * Check whether a key is translated, in the current or the fallback language
+   * @param {string} key - Translation key (dot notation)
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.getNestedValue(this.translations[this.currentLanguage], key) !== undefined ||
+      this.getNestedValue(this.translations[this.fallbackLanguage], key) !== undefined;
+  }
+
   /**
    * Get nested object value using dot notation
    * @param {Object} obj - Object to search
@@ -1,11 +1,109 @@
-
-import OpenAI from 'openai';
-import { confirm, select, input } from '@inquirer/prompts';
+import { confirm, select, input, editor, Separator } from '@inquirer/prompts';
 import StreamingOutput from '../lib/streamer.js';
 import chalk from 'chalk';
-import { buildSystemPrompt } from './prompts.js';
+import { buildSystemPrompt, buildCorrectionInstructions, splitCandidates, CANDIDATE_SEPARATOR } from './prompts.js';
 import i18n from './i18n.js';
+import { withRetry, parseRetryAfter } from '../utils/retry.js';
+import ResponseCache from './cache.js';
+import UsageLedger from './usage.js';
+import { getProvider } from './providers.js';
+import GitRepository from './git.js';
+import { loadHistoryProfile } from './history.js';
+import { loadPromptTemplate } from './prompt-templates.js';
+import CassetteStore from './cassettes.js';
+import AuditLog from './audit.js';
+import {
+  estimateTokens,
+  getTokenBudget,
+  splitDiffByFile,
+  summarizeFileStats,
+  truncateFileDiff,
+  fitDiffToBudget,
+  isLockfile
+} from '../utils/diff-budget.js';
+import { getLintRules, lintCommitMessage, fixCommitMessage } from './commit-lint.js';
+import { redactSecrets, summarizeFindings } from '../utils/redact.js';
+import { parseCustomFormat, matchesCustomFormat } from '../utils/custom-format.js';
+import { isEnglish } from '../utils/language.js';
+import { getCommitConvention, getBranchConvention } from '../utils/conventions.js';
+import {
+  supportsStructuredCommits,
+  parseStructuredCommit,
+  validateStructuredCommit,
+  formatCommitMessage
+} from '../utils/commit-message.js';
+
+// Request types whose context is a diff and may need trimming
+const DIFF_CONTEXT_TYPES = ['commit', 'pr', 'review'];
+
+/**
+ * Converts SDK-specific errors into a plain Error with a readable message
+ * Every provider SDK reports failures differently; callers only rely on
+ * `message`, plus `provider` and `status` when they need to branch on them
+ * @param {Error} error - Error thrown by a provider SDK
+ * @param {string} provider - Provider name
+ * @returns {Error} Normalized error
+ */
+function normalizeProviderError(error, provider) {
+  if (error.provider) {
+    return error;
+  }
+
+  // OpenAI nests the body under `error`, Anthropic under `error.error`
+  const body = error.error?.error || error.error;
+  let message = body?.message || error.message || String(error);
 
+  // Strip SDK prefixes like "[GoogleGenerativeAI Error]: " or "401 {...}"
+  message = message.replace(/^\[GoogleGenerativeAI Error\]:\s*/, '');
+  if (typeof error.status === 'number' && message.startsWith(`${error.status} `)) {
+    message = message.slice(String(error.status).length + 1);
+  }
+
+  const normalized = new Error(`${provider}: ${message}`);
+  normalized.provider = provider;
+  normalized.status = typeof error.status === 'number' ? error.status : null;
+  normalized.code = error.code || error.cause?.code || null;
+  normalized.retryAfter = getRetryAfter(error);
+  normalized.cause = error;
+
+  return normalized;
+}
+
+/**
+ * Error thrown when the user cancels a generation
+ * Callers tell it apart through `cancelled` and should not report it as a failure
+ * @returns {Error} Cancellation error
+ */
+function createCancelledError() {
+  const error = new Error(i18n.t('llm.cancelled'));
+  error.name = 'AbortError';
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Reads the server-requested wait from an SDK error, if any
+ * @param {Error} error - Error thrown by a provider SDK
+ * @returns {number|null} Delay in milliseconds
+ */
+function getRetryAfter(error) {
+  const headers = error.headers;
+  if (headers?.get) {
+    const retryAfterMs = Number(headers.get('retry-after-ms'));
+    if (retryAfterMs > 0) return retryAfterMs;
+
+    const retryAfter = parseRetryAfter(headers.get('retry-after'));
+    if (retryAfter !== null) return retryAfter;
+  }
+
+  // Gemini reports it in the error details as e.g. "30s"
+  const retryInfo = error.errorDetails?.find?.(detail => detail.retryDelay);
+  if (retryInfo) {
+    return parseRetryAfter(String(retryInfo.retryDelay).replace(/s$/, ''));
+  }
+
+  return null;
+}
 
 class LLMOrchestrator {
   constructor(options = {}) {
@@ -13,58 +111,489 @@ class LLMOrchestrator {
       provider: options.provider || 'openAI',
       apiKey: options.apiKey,
       model: options.model,
+      baseURL: options.baseURL || null,
+      headers: options.headers || {},
+      apiVersion: options.apiVersion || null,
+      deployment: options.deployment || null,
+      proxy: options.proxy || null,
+      caFile: options.caFile || null,
+      timeout: options.timeout || null,
+      fallbackProviders: options.fallbackProviders || [],
       instructions: options.instructions || {},
       skipApproval: options.skipApproval || false,
+      stream: options.stream !== false,
+      retry: options.retry || {},
+      cache: options.cache || {},
+      largeDiff: options.largeDiff || {},
+      prices: options.prices || {},
+      repoPath: options.repoPath || process.cwd(),
+      candidates: options.candidates || 1,
+      structuredCommits: options.structuredCommits || {},
+      commitLint: options.commitLint || {},
+      cassettes: options.cassettes || {},
+      audit: options.audit || {},
+      redaction: options.redaction || {},
+      taskModels: options.taskModels || {},
+      generationLanguage: options.generationLanguage || 'en',
       ...options
     };
 
-    this.client = this._initializeClient();
     this.streamer = new StreamingOutput();
+
+    // Primary provider first, then the configured fallbacks in order;
+    // a misspelled fallback is left out instead of breaking every command
+    const fallbacks = (this.options.fallbackProviders || [])
+      .filter(settings => this._isKnownProvider(settings.provider, 'fallbackProviders'));
+    this.targets = [this.options, ...fallbacks].map(settings => this._createTarget(settings));
+    this.currentTarget = this.targets[0];
+    // Target lists per request type, built on first use from `taskModels`
+    this.taskTargets = new Map();
+    this.lastFromCache = false;
+    // Aborting this stops whatever generation is running, see cancel()
+    this.activeController = null;
+    this.cache = new ResponseCache(this.options.cache);
+    this.usage = new UsageLedger({ prices: this.options.prices });
+    this.audit = new AuditLog(this.options.audit);
+    this.cassettes = new CassetteStore({ basePath: this.options.repoPath, ...this.options.cassettes });
   }
 
-  _initializeClient() {
-    switch (this.options.provider.toLowerCase()) {
-      case 'openai':
-        return new OpenAI({ apiKey: this.options.apiKey });
-        break;
-      case 'claude':
-        return new Anthropic({ apiKey: this.options.apiKey });
-        break;
-      case 'gemini':
-        return new GoogleGenerativeAI(this.options.apiKey);
-        break;
-      default:
-        throw new Error(`Unsupported provider: ${this.options.provider}`);
+  /**
+   * Checks a configured provider name against the registry, warning when it is unknown
+   * @param {string} provider - Provider name from config
+   * @param {string} setting - Config key it came from, for the warning
+   * @returns {boolean} True when the provider is registered
+   */
+  _isKnownProvider(provider, setting) {
+    if (getProvider(provider)) {
+      return true;
+    }
+
+    this.streamer.showWarning(i18n.t('llm.unknownProvider', { provider: provider || '?', setting }));
+    return false;
+  }
+
+  /**
+   * Resolves one provider entry into a target
+   * Fallback entries inherit the primary's key and endpoint settings
+   * only when they use the same provider; proxy and CA apply to every target
+   * @param {Object} settings - Provider settings ({ provider, model, apiKey, baseURL, headers, apiVersion, deployment, proxy, caFile, timeout })
+   * @returns {Object} Target with provider, model and the settings its client is created from
+   */
+  _createTarget(settings) {
+    const provider = (settings.provider || '').toLowerCase();
+    const sameProvider = provider === (this.options.provider || '').toLowerCase();
+    const inherited = sameProvider ? this.options : {};
+
+    const resolved = {
+      provider,
+      apiKey: settings.apiKey ?? inherited.apiKey,
+      baseURL: settings.baseURL ?? inherited.baseURL,
+      headers: settings.headers ?? inherited.headers ?? {},
+      apiVersion: settings.apiVersion ?? inherited.apiVersion,
+      deployment: settings.deployment ?? inherited.deployment,
+      proxy: settings.proxy ?? this.options.proxy,
+      caFile: settings.caFile ?? this.options.caFile,
+      timeout: settings.timeout ?? this.options.timeout,
+      mock: settings.mock ?? this.options.mock,
+      // Free-form settings for plugin providers
+      options: settings.options ?? inherited.options ?? {}
+    };
+
+    return {
+      provider,
+      model: settings.model || getProvider(provider)?.defaultModel,
+      timeout: resolved.timeout,
+      settings: resolved,
+      client: null
+    };
+  }
+
+  /**
+   * SDK client for a target, created on its first request
+   * Commands that never generate (setup, status, usage) don't need one, so
+   * an unreadable CA bundle or a bad proxy URL can't stop them from running
+   * @param {Object} target - Target from _createTarget
+   * @returns {*} Client
+   */
+  _getClient(target) {
+    if (!target.client) {
+      target.client = this._initializeClient(target.settings);
+    }
+    return target.client;
+  }
+
+  /**
+   * Targets to try for a request type, in order
+   * A type routed under `taskModels` goes to its own provider and model first,
+   * with the primary provider and its fallbacks behind it
+   * @param {string} type - The type of request (commit, branch, pr, review, custom, summary)
+   * @returns {Array<Object>} Targets
+   */
+  _getTargets(type) {
+    if (!this.taskTargets.has(type)) {
+      const route = this.options.taskModels[type];
+      let targets = this.targets;
+
+      const settings = typeof route === 'string' ? { model: route } : route;
+      // A route naming an unknown provider is ignored, leaving the type on the primary
+      if (settings && (!settings.provider || this._isKnownProvider(settings.provider, `taskModels.${type}`))) {
+        const routed = this._createTarget({ provider: this.options.provider, ...settings });
+        targets = [routed, ...this.targets.filter(t => t.provider !== routed.provider || t.model !== routed.model)];
+      }
+
+      this.taskTargets.set(type, targets);
+    }
+
+    return this.taskTargets.get(type);
+  }
+
+  /**
+   * Creates the SDK client for a provider through the provider registry
+   * @param {Object} settings - Resolved connection settings
+   * @returns {*} Client handed back to the provider on every request
+   * @throws {Error} When no provider with that name is registered
+   */
+  _initializeClient(settings = this.options) {
+    const definition = getProvider(settings.provider);
+    if (!definition) {
+      throw new Error(`Unsupported provider: ${settings.provider}`);
+    }
+
+    return definition.createClient(settings);
+  }
+
+  /**
+   * Sends the context to the configured provider, falling back to the next
+   * configured provider when one fails or times out
+   * @param {*} context - Diff or description to generate from
+   * @param {string} type - The type of request (commit, branch, pr, review)
+   * @param {string|null} customInstructions - Additional custom instructions
+   * @param {Object} options - Call options
+   * @param {Function} [options.onToken] - Receives text chunks as they arrive; enables streaming
+   * @param {boolean} [options.bypassCache] - Skip cached responses (the result is still stored)
+   * @param {number} [options.candidates] - Ask for several alternatives in one response
+   * @param {AbortSignal} [options.signal] - Cancels the call, including retries and fallbacks
+   * @param {boolean} [options.structured] - Ask for a commit as JSON fields instead of text
+   * @returns {Promise<string>} The complete response text
+   * @throws {CassetteMissError} In replay mode, when no recorded exchange matches
+   * @throws {Error} With `cancelled` set when the signal aborts
+   */
+  async call(context, type, customInstructions = null, options = {}) {
+    const systemPrompt = this._buildSystemPrompt(type, customInstructions, options.candidates, options.structured);
+    const targets = this._getTargets(type);
+
+    if (this.cassettes.isReplaying()) {
+      return this._replay(targets, systemPrompt, context, type, options.onToken);
+    }
+
+    const cacheKeys = targets.map(target => this.cache.key({
+      provider: target.provider,
+      model: target.model,
+      systemPrompt,
+      context
+    }));
+
+    this.lastFromCache = false;
+    this.lastCacheKey = null;
+
+    // A recording session must reach the provider, or the cassette would be missing
+    if (!options.bypassCache && !this.cassettes.isRecording()) {
+      for (let i = 0; i < targets.length; i++) {
+        const cached = this.cache.get(cacheKeys[i]);
+        if (cached) {
+          this.currentTarget = targets[i];
+          this.lastFromCache = true;
+          this.lastCacheKey = cacheKeys[i];
+          options.onToken?.(cached);
+          return cached;
+        }
+      }
+    }
+
+    let receivedTokens = false;
+    const onToken = options.onToken
+      ? (token) => {
+          receivedTokens = true;
+          options.onToken(token);
+        }
+      : null;
+
+    for (let i = 0; i < targets.length; i++) {
+      const target = targets[i];
+      const next = targets[i + 1];
+      this.currentTarget = target;
+
+      try {
+        const { text, usage } = await this._callTarget(target, systemPrompt, context, {
+          type,
+          structured: options.structured,
+          onToken,
+          signal: options.signal,
+          shouldRetry: () => !receivedTokens
+        });
+
+        this._recordAudit(target, type, systemPrompt, context, { status: 'ok', response: text });
+        this._recordUsage(target, type, usage, systemPrompt, context, text);
+        this.cache.set(cacheKeys[i], text, { provider: target.provider, model: target.model });
+        this.lastCacheKey = cacheKeys[i];
+
+        if (this.cassettes.isRecording()) {
+          this.cassettes.record(
+            { provider: target.provider, model: target.model, type, systemPrompt, context },
+            { text, usage }
+          );
+        }
+
+        return text;
+      } catch (error) {
+        // Also covers an abort that lands while waiting between retries
+        if (error.cancelled || options.signal?.aborted) {
+          this._recordAudit(target, type, systemPrompt, context, { status: 'cancelled' });
+          throw createCancelledError();
+        }
+
+        this._recordAudit(target, type, systemPrompt, context, { status: 'error', error: error.message });
+
+        // Nothing left to try, or part of this response is already on screen
+        if (!next || receivedTokens) {
+          throw error;
+        }
+
+        this.streamer.updateThinking(i18n.t('llm.fallingBack', {
+          from: target.provider,
+          to: `${next.provider} (${next.model})`,
+          reason: error.status || error.code || error.message
+        }));
+      }
     }
   }
 
-  async call(context, type, customInstructions = null) {
-    // Chamar o método específico do provider
-    switch (this.options.provider.toLowerCase()) {
-      case 'openai':
-        return this._callOpenAI(context, type, customInstructions);
-      case 'claude':
-        return this._callClaude(context, type, customInstructions);
-      case 'gemini':
-        return this._callGemini(context, type, customInstructions);
-      default:
-        throw new Error(`Unsupported provider: ${this.options.provider}`);
+  /**
+   * Serves a response from the recorded cassettes instead of a provider
+   * Targets are tried in order, so exchanges recorded from a fallback still match
+   * @private
+   */
+  _replay(targets, systemPrompt, context, type, onToken = null) {
+    let firstMiss = null;
+
+    for (const target of targets) {
+      try {
+        const { text } = this.cassettes.replay({
+          provider: target.provider,
+          model: target.model,
+          type,
+          systemPrompt,
+          context
+        });
+
+        this.currentTarget = target;
+        this.lastFromCache = false;
+        onToken?.(text);
+        return text;
+      } catch (error) {
+        if (error.name !== 'CassetteMissError') throw error;
+        firstMiss = firstMiss || error;
+      }
     }
+
+    throw firstMiss;
+  }
+
+  /**
+   * Calls a single provider target, retrying transient failures
+   * @private
+   */
+  async _callTarget(target, systemPrompt, context, { type, structured = false, onToken, signal = null, shouldRetry }) {
+    return withRetry(async () => {
+      // Every attempt gets the full timeout; the caller's signal cancels all of them
+      const timeoutSignal = target.timeout ? AbortSignal.timeout(target.timeout) : null;
+      const attemptSignal = signal && timeoutSignal
+        ? AbortSignal.any([signal, timeoutSignal])
+        : signal || timeoutSignal;
+
+      try {
+        const client = this._getClient(target);
+        const definition = getProvider(target.provider);
+        const request = {
+          client,
+          model: target.model,
+          systemPrompt,
+          context,
+          signal: attemptSignal,
+          type,
+          structured
+        };
+
+        if (onToken && definition.stream) {
+          return await definition.stream(request, onToken);
+        }
+
+        // Providers without streaming hand over the whole response at once
+        const result = await definition.generate(request);
+        onToken?.(result.text);
+        return result;
+      } catch (error) {
+        // SDKs report both kinds of abort the same way; the signals tell them apart
+        if (signal?.aborted) {
+          throw createCancelledError();
+        }
+        if (timeoutSignal?.aborted) {
+          const timeout = new Error(`request timed out after ${target.timeout}ms`);
+          timeout.code = 'ETIMEDOUT';
+          throw normalizeProviderError(timeout, target.provider);
+        }
+        throw normalizeProviderError(error, target.provider);
+      }
+    }, {
+      policy: this.options.retry,
+      signal,
+      // A half-streamed response is already on screen; restarting it would garble the output
+      shouldRetry,
+      onRetry: ({ attempt, maxAttempts, delay, error }) => {
+        this.streamer.updateThinking(i18n.t('llm.retrying', {
+          seconds: Math.ceil(delay / 1000),
+          attempt: attempt + 1,
+          max: maxAttempts,
+          reason: error.status || error.code || error.message
+        }));
+      }
+    });
   }
 
-  async approveLLMResponse(response) {
-    this._showLLMResponse(response);
+  /**
+   * Writes a provider request to the audit log
+   * @private
+   */
+  _recordAudit(target, type, systemPrompt, context, outcome) {
+    this.audit.record({
+      provider: target.provider,
+      model: target.model,
+      type,
+      repo: this.options.repoPath,
+      ...outcome,
+      systemPrompt,
+      context
+    });
+  }
+
+  /**
+   * Writes a call's token usage to the ledger
+   * Servers that don't report usage (some local ones) get an estimate
+   * @private
+   */
+  _recordUsage(target, type, usage, systemPrompt, context, response) {
+    const estimated = !usage;
+    const counts = usage || {
+      promptTokens: estimateTokens(systemPrompt) + estimateTokens(JSON.stringify(context)),
+      completionTokens: estimateTokens(response)
+    };
+
+    this.usage.record({
+      provider: target.provider,
+      model: target.model,
+      type,
+      repo: this.options.repoPath,
+      ...counts,
+      estimated
+    });
+  }
+
+  /**
+   * Shows a response and asks what to do with it
+   * @param {string} response - Generated text
+   * @param {Object} options - Display options
+   * @param {boolean} [options.alreadyShown] - The response was streamed onto the screen
+   * @param {Array<Object>} [options.violations] - Lint violations to list under the response
+   * @returns {Promise<Object>} { action }, plus response or customInstructions when relevant
+   */
+  async approveLLMResponse(response, { alreadyShown = false, violations = [] } = {}) {
+    if (!alreadyShown) {
+      this._showLLMResponse(response);
+    }
+
+    if (violations.length > 0) {
+      this._showLintViolations(violations);
+    }
 
     // Present options to the user
     const action = await select({
       message: i18n.t('llm.approvalPrompt'),
       choices: [
         { name: i18n.t('llm.approvalOptions.approve'), value: 'approve' },
+        { name: i18n.t('llm.approvalOptions.edit'), value: 'edit' },
+        ...(violations.length > 0
+          ? [{ name: i18n.t('llm.approvalOptions.lintFeedback'), value: 'lint_feedback' }]
+          : []),
         { name: i18n.t('llm.approvalOptions.retry'), value: 'retry' },
         { name: i18n.t('llm.approvalOptions.retryWithInstructions'), value: 'retry_with_instructions' }
       ]
     });
 
+    if (action === 'lint_feedback') {
+      return { action, feedback: buildCorrectionInstructions(response, violations.map(v => v.message)) };
+    }
+
+    if (action === 'edit') {
+      // Hand-edited text is approved as-is, no new generation needed
+      const edited = await editor({
+        message: i18n.t('llm.editPrompt'),
+        default: response,
+        waitForUseInput: false,
+        validate: (value) => {
+          if (!value || value.trim().length === 0) {
+            return i18n.t('llm.editEmpty');
+          }
+          return true;
+        }
+      });
+      return { action: 'approve', response: edited.trim() };
+    }
+
+    if (action === 'retry_with_instructions') {
+      const customInstructions = await input({
+        message: i18n.t('llm.customInstructionsPrompt')
+      });
+      return { action, customInstructions };
+    }
+
+    return { action };
+  }
+
+  /**
+   * Lets the user pick one of several generated candidates
+   * @param {string[]} candidates - Every candidate generated so far
+   * @param {*} context - Original request context, summarized above the list
+   * @param {Map<string, Array>} [violations] - Lint violations by candidate
+   * @returns {Promise<Object>} { action, response } or { action, customInstructions }
+   */
+  async chooseCandidate(candidates, context, violations = new Map()) {
+    this._showCandidatesHeader(context);
+
+    const width = (process.stdout.columns || 80) - 8;
+    const action = await select({
+      message: i18n.t('llm.chooseCandidate', { count: candidates.length }),
+      pageSize: Math.min(candidates.length + 4, 12),
+      choices: [
+        ...candidates.map((candidate, index) => {
+          const subject = candidate.split('\n')[0];
+          const issues = violations.get(candidate) || [];
+          const name = subject.length > width ? subject.substring(0, width - 3) + '...' : subject;
+          return {
+            name: issues.length > 0 ? `${name} ${chalk.yellow(`⚠ ${issues.length}`)}` : name,
+            value: index,
+            description: [candidate, ...issues.map(v => chalk.yellow(`⚠ ${v.message}`))].join('\n')
+          };
+        }),
+        new Separator(),
+        { name: i18n.t('llm.approvalOptions.moreCandidates'), value: 'retry' },
+        { name: i18n.t('llm.approvalOptions.retryWithInstructions'), value: 'retry_with_instructions' }
+      ]
+    });
+
+    if (typeof action === 'number') {
+      return { action: 'approve', response: candidates[action] };
+    }
+
     if (action === 'retry_with_instructions') {
       const customInstructions = await input({
         message: i18n.t('llm.customInstructionsPrompt')
@@ -83,36 +612,425 @@ class LLMOrchestrator {
 
     let approved = false;
     let response = null;
+    let redactedContext = null;
+    let preparedContext = null;
     let currentInstructions = customInstructions;
+    // Asking for another response must never hand back the cached one
+    let bypassCache = false;
+
+    // Candidates accumulate across regenerations so earlier ones stay selectable
+    const candidateCount = this.options.skipApproval ? 1 : Math.max(1, this.options.candidates);
+    let candidates = [];
+    const candidateViolations = new Map();
+
+    // Instructions the user typed, kept when lint feedback is added on top
+    let userInstructions = customInstructions;
+    const lint = this._usesCommitLint(type) || this._usesBranchLint(type);
+    let autoRegenerations = this.options.commitLint.autoRegenerate ?? 1;
+
+    // Structured commits arrive as JSON, which is only worth showing once assembled
+    const structured = this._usesStructuredCommits(type);
+
+    // The spinner names the model the request is routed to
+    const [target] = this._getTargets(type);
+    const thinkingMessage = `${loadingMessage} (${target.provider} · ${target.model})`;
+
+    // Streaming only makes sense when a single response is shown for approval
+    const shouldStream = this.options.stream && !this.options.skipApproval && candidateCount === 1 && !structured;
 
     while (!approved) {
+      const controller = new AbortController();
+      this.activeController = controller;
+
       try {
-        this.streamer.startThinking(loadingMessage);
-        response = await this.call(context, type, currentInstructions);
+        // Secrets are masked before the context reaches the cache, the audit log or a provider
+        redactedContext ??= await this._redactContext(context);
+        this.streamer.startThinking(thinkingMessage);
+        preparedContext ??= await this._prepareContext(type, redactedContext, controller.signal);
+        this.streamer.updateThinking(thinkingMessage);
+
+        const callOptions = { bypassCache, candidates: candidateCount, signal: controller.signal };
+        const { text, streamed } = shouldStream
+          ? await this._callStreaming(preparedContext, type, currentInstructions, callOptions)
+          : structured
+            ? { text: await this._callStructuredCommit(preparedContext, currentInstructions, callOptions), streamed: false }
+            : { text: await this.call(preparedContext, type, currentInstructions, callOptions), streamed: false };
+        response = text;
         this.streamer.stopThinking();
+        this.activeController = null;
 
-        const result = this.options.skipApproval
-          ? { action: 'approve' }
-          : await this.approveLLMResponse(response);
+        let result;
+        if (candidateCount > 1) {
+          const fresh = splitCandidates(text)
+            .map(candidate => {
+              if (!lint) return candidate;
+              const { message, violations } = this._lint(type, candidate);
+              candidateViolations.set(message, violations);
+              return message;
+            })
+            .filter(c => !candidates.includes(c));
+          candidates = [...candidates, ...fresh];
+          result = await this.chooseCandidate(candidates, context, candidateViolations);
+        } else {
+          let violations = [];
+          let alreadyShown = streamed;
+          if (lint) {
+            const linted = this._lint(type, response);
+            // A streamed response that got auto-fixed is shown again as it will be committed
+            alreadyShown &&= linted.message === response;
+            response = linted.message;
+            violations = linted.violations;
+          }
+
+          if (this.options.skipApproval) {
+            // Unattended runs get one automatic round of lint feedback, then go ahead
+            result = violations.length > 0 && autoRegenerations-- > 0
+              ? { action: 'lint_feedback', feedback: buildCorrectionInstructions(response, violations.map(v => v.message)) }
+              : { action: 'approve' };
+          } else {
+            result = await this.approveLLMResponse(response, { alreadyShown, violations });
+          }
+        }
+
+        // Picked candidates and hand edits replace the raw response
+        if (result.response !== undefined) {
+          response = result.response;
+        }
 
         if (result.action === 'approve') {
           approved = true;
           return response;
         } else if (result.action === 'retry') {
           currentInstructions = null;
+          userInstructions = null;
+          bypassCache = true;
         } else if (result.action === 'retry_with_instructions') {
           currentInstructions = result.customInstructions;
+          userInstructions = result.customInstructions;
+          bypassCache = true;
+        } else if (result.action === 'lint_feedback') {
+          currentInstructions = userInstructions ? `${userInstructions}\n\n${result.feedback}` : result.feedback;
+          bypassCache = true;
         }
       } catch (error) {
         this.streamer.stopThinking();
+
+        // Ctrl+C, either while generating or inside the approval prompt
+        if (error.cancelled || error.name === 'ExitPromptError') {
+          this.streamer.showWarning(i18n.t('llm.cancelled'));
+          throw error.cancelled ? error : createCancelledError();
+        }
+
         this.streamer.showError(`Error generating ${type}: ${error.message}`);
         throw error;
+      } finally {
+        if (this.activeController === controller) {
+          this.activeController = null;
+        }
       }
     }
 
     return response;
   }
 
+  /**
+   * Whether this request type is generated as structured fields
+   * Only commits qualify, and only for conventions with a known header format
+   * @param {string} type - The type of request
+   * @returns {boolean}
+   */
+  _usesStructuredCommits(type) {
+    return type === 'commit' &&
+      this.options.structuredCommits.enabled !== false &&
+      supportsStructuredCommits(this._getCommitConvention()) &&
+      // A template that replaces the built-in prompt decides the output format itself
+      loadPromptTemplate(this.options.repoPath, type)?.extends !== false;
+  }
+
+  /**
+   * Masks secrets and personal data in the context and reports what was masked
+   * With `redaction.blockOnSecrets`, a high-confidence secret stops the request
+   * until the user confirms sending the redacted version
+   * @param {*} context - Request context; only text is scanned
+   * @returns {Promise<*>} Redacted context
+   * @throws {Error} When blocked in an unattended run, or a cancelled error when the user declines
+   */
+  async _redactContext(context) {
+    const settings = this.options.redaction;
+    if (settings.enabled === false || typeof context !== 'string') {
+      return context;
+    }
+
+    const { text, findings } = redactSecrets(context, settings);
+    if (findings.length === 0) {
+      return context;
+    }
+
+    this._showRedactions(findings);
+
+    if (settings.blockOnSecrets && findings.some(f => f.confidence === 'high')) {
+      if (this.options.skipApproval) {
+        throw new Error(i18n.t('redaction.blocked'));
+      }
+
+      const proceed = await confirm({ message: i18n.t('redaction.confirmSend'), default: false });
+      if (!proceed) {
+        throw createCancelledError();
+      }
+    }
+
+    return text;
+  }
+
+  _usesCommitLint(type) {
+    return type === 'commit' && this.options.commitLint.enabled !== false;
+  }
+
+  _usesBranchLint(type) {
+    if (type !== 'branch') {
+      return false;
+    }
+
+    // A custom convention can only be checked once its format has a template
+    return this._getBranchConvention() !== 'custom' ||
+      !!parseCustomFormat(this.options.instructions.branchNaming?.format);
+  }
+
+  /**
+   * Fixes and checks a generated commit message or branch name
+   * @param {string} type - 'commit' or 'branch'
+   * @param {string} response - Generated text
+   * @returns {{message: string, violations: Array<Object>}} Text to show and what is still wrong with it
+   */
+  _lint(type, response) {
+    return type === 'branch' ? this._lintBranch(response) : this._lintCommit(response);
+  }
+
+  /**
+   * Checks a branch name against the naming convention, or the custom format
+   * @param {string} name - Generated branch name
+   * @returns {{message: string, violations: Array<Object>}} Trimmed name and format violations
+   */
+  _lintBranch(name) {
+    const convention = getBranchConvention(this._getBranchConvention());
+    const trimmed = name.trim();
+
+    if (convention.name === 'custom') {
+      const { format } = this.options.instructions.branchNaming;
+      const violations = matchesCustomFormat(trimmed, format, 'branch')
+        ? []
+        : [{ rule: 'branchFormat', message: i18n.t('lint.rules.branchFormat', { template: parseCustomFormat(format).template }) }];
+      return { message: trimmed, violations };
+    }
+
+    const violations = convention.pattern.test(trimmed)
+      ? []
+      : [{
+          rule: 'branchConvention',
+          message: i18n.t('lint.rules.branchConvention', {
+            convention: i18n.t(`setup.branchNaming.${convention.label}`),
+            example: convention.example
+          })
+        }];
+
+    return { message: trimmed, violations };
+  }
+
+  /**
+   * Applies the safe lint fixes to a commit message and lists what is still wrong
+   * @param {string} message - Generated commit message
+   * @returns {{message: string, violations: Array<Object>}} Fixed message and remaining violations
+   */
+  _lintCommit(message) {
+    const convention = this._getCommitConvention();
+    const rules = {
+      ...getLintRules(convention, this.options.commitLint),
+      format: this.options.instructions.commitConvention?.format || null
+    };
+    // The mood check only knows English verb endings
+    if (!isEnglish(this.options.generationLanguage)) {
+      rules.imperativeMood = false;
+    }
+    const fixed = fixCommitMessage(message, convention, rules).message;
+
+    return { message: fixed, violations: lintCommitMessage(fixed, convention, rules) };
+  }
+
+  _getCommitConvention() {
+    return getCommitConvention(this.options.instructions.commitConvention?.type).name;
+  }
+
+  _getBranchConvention() {
+    return getBranchConvention(this.options.instructions.branchNaming?.type).name;
+  }
+
+  /**
+   * Generates a commit as JSON fields, validates it and assembles the message
+   * Responses that don't parse or break the convention are sent back with the
+   * problems listed, up to `structuredCommits.maxCorrections` times
+   * @param {*} context - Diff to generate from
+   * @param {string|null} customInstructions - Additional custom instructions
+   * @param {Object} options - Options passed through to call()
+   * @returns {Promise<string>} Assembled message, or several joined by the candidate separator
+   * @throws {Error} When no valid commit came back after every correction
+   */
+  async _callStructuredCommit(context, customInstructions, options = {}) {
+    const convention = this._getCommitConvention();
+    const maxCorrections = this.options.structuredCommits.maxCorrections ?? 2;
+    let instructions = customInstructions;
+    let callOptions = { ...options, structured: true };
+
+    for (let correction = 0; ; correction++) {
+      const text = await this.call(context, 'commit', instructions, callOptions);
+
+      const results = splitCandidates(text).map(candidate => {
+        const { commit, error } = parseStructuredCommit(candidate);
+        return { commit, errors: error ? [error] : validateStructuredCommit(commit, convention) };
+      });
+
+      const valid = results.filter(result => result.errors.length === 0);
+      if (valid.length > 0) {
+        return valid
+          .map(result => formatCommitMessage(result.commit, convention))
+          .join(`\n${CANDIDATE_SEPARATOR}\n`);
+      }
+
+      // Nothing usable came back; a rerun on the same diff must ask the model again
+      if (this.lastCacheKey) {
+        this.cache.delete(this.lastCacheKey);
+      }
+
+      const errors = [...new Set(results.flatMap(result => result.errors))];
+      if (errors.length === 0) {
+        errors.push('the response is empty');
+      }
+
+      if (correction >= maxCorrections) {
+        throw new Error(i18n.t('llm.invalidStructuredCommit', {
+          attempts: correction + 1,
+          errors: errors.join('; ')
+        }));
+      }
+
+      this.streamer.updateThinking(i18n.t('llm.correctingCommit', {
+        attempt: correction + 1,
+        max: maxCorrections
+      }));
+
+      const correctionText = buildCorrectionInstructions(text, errors);
+      instructions = customInstructions ? `${customInstructions}\n\n${correctionText}` : correctionText;
+      // A rejected answer must not come back from the cache
+      callOptions = { ...callOptions, bypassCache: true };
+    }
+  }
+
+  /**
+   * Cancels the generation that is currently running, if any
+   * The pending generateWithApproval call rejects with a `cancelled` error
+   * @returns {boolean} True if there was something to cancel
+   */
+  cancel() {
+    if (!this.activeController) {
+      return false;
+    }
+
+    this.activeController.abort();
+    return true;
+  }
+
+  /**
+   * Shrinks oversized diffs to fit the smallest configured model
+   * Moderately large diffs are truncated per file; very large ones are
+   * summarized file by file first and the summaries sent instead
+   * @param {string} type - The type of request
+   * @param {*} context - Request context
+   * @param {AbortSignal} [signal] - Cancels the summary requests
+   * @returns {Promise<*>} Context ready to send
+   */
+  async _prepareContext(type, context, signal = null) {
+    if (!DIFF_CONTEXT_TYPES.includes(type) || typeof context !== 'string') {
+      return context;
+    }
+
+    const { strategy = 'auto', summarizeThreshold = 3, tokenBudget = null } = this.options.largeDiff;
+    const budget = Math.min(...this._getTargets(type).map(t => getTokenBudget(t.model, tokenBudget)));
+    const tokens = estimateTokens(context);
+
+    if (tokens <= budget) {
+      return context;
+    }
+
+    const shouldSummarize = strategy === 'summarize' ||
+      (strategy === 'auto' && tokens > budget * summarizeThreshold);
+
+    return shouldSummarize
+      ? this._summarizeDiff(context, budget, signal)
+      : fitDiffToBudget(context, budget);
+  }
+
+  /**
+   * Map step of the two-stage mode: one short summary per changed file
+   * @param {string} diff - Full diff
+   * @param {number} budget - Token budget for each request
+   * @param {AbortSignal} [signal] - Cancels the remaining summaries
+   * @returns {Promise<string>} File overview followed by per-file summaries
+   */
+  async _summarizeDiff(diff, budget, signal = null) {
+    const files = splitDiffByFile(diff);
+    const summarizable = files.filter(f => !isLockfile(f.file));
+    const summaries = [];
+
+    for (let i = 0; i < summarizable.length; i++) {
+      const file = summarizable[i];
+      this.streamer.updateThinking(i18n.t('llm.summarizingFile', {
+        current: i + 1,
+        total: summarizable.length,
+        file: file.file
+      }));
+
+      const summary = await this.call(truncateFileDiff(file.diff, budget), 'summary', null, { signal });
+      summaries.push(`### ${file.file}\n${summary.trim()}`);
+    }
+
+    const combined = `${summarizeFileStats(files)}\n\nPer-file summaries:\n\n${summaries.join('\n\n')}`;
+    return truncateFileDiff(combined, budget);
+  }
+
+  /**
+   * Calls the provider and writes tokens into the approval screen as they arrive
+   * The spinner keeps running until the first token shows up
+   * @returns {Promise<{text: string, streamed: boolean}>} Response and whether it was displayed
+   */
+  async _callStreaming(context, type, customInstructions, options = {}) {
+    let streamed = false;
+
+    const onToken = (token) => {
+      if (!streamed) {
+        this.streamer.stopThinking();
+        this._showResponseHeader();
+        this.streamer.startStream();
+        streamed = true;
+      }
+      this.streamer.addChunk(chalk.white.bold(token));
+    };
+
+    let text;
+    try {
+      text = await this.call(context, type, customInstructions, { ...options, onToken });
+    } catch (error) {
+      // Close off a half-written response before the error is shown
+      if (streamed) this.streamer.endStream();
+      throw error;
+    }
+
+    if (streamed) {
+      this.streamer.endStream();
+      this._showResponseFooter();
+    }
+
+    return { text, streamed };
+  }
+
   // Then usage becomes simple:
   async generateCommitMessage(context, customInstructions = null) {
     return this.generateWithApproval('commit', context, {
@@ -128,70 +1046,28 @@ class LLMOrchestrator {
     });
   }
 
-  async _callOpenAI(context, type, customInstructions = null) {
-    const response = await this.client.chat.completions.create({
-      model: this.options.model || 'gpt-4',
-      messages: [
-        {
-          role: 'system',
-          content: this._buildSystemPrompt(type, customInstructions)
-        },
-        {
-          role: 'user',
-          content: JSON.stringify(context)
-        }
-      ]
-    });
-
-    return response.choices[0].message.content;
-  }
-
-  async _callClaude(context, type, customInstructions = null) {
-    const response = await this.client.messages.create({
-      model: this.options.model || 'claude-3-5-sonnet-20241022',
-      max_tokens: 1024,
-      system: this._buildSystemPrompt(type, customInstructions),
-      messages: [
-        {
-          role: 'user',
-          content: JSON.stringify(context)
-        }
-      ]
-    });
-
-    return response.content[0].text;
-  }
-
-  async _callGemini(context, type, customInstructions = null) {
-    const model = this.client.getGenerativeModel({
-      model: this.options.model || 'gemini-pro'
-    });
-
-    const prompt = `${this._buildSystemPrompt(type, customInstructions)}\n\n${JSON.stringify(context)}`;
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-
-    return response.text();
-  }
-
   /**
    * Builds the system prompt based on the request type
    * @param {string} type - The type of request (commit, branch, pr, review)
    * @param {string|null} customInstructions - Additional custom instructions
+   * @param {number} candidates - Number of alternatives to ask for
+   * @param {boolean} structured - Ask for a commit as JSON fields
    * @returns {string} The complete system prompt
    */
-  _buildSystemPrompt(type, customInstructions = null) {
+  _buildSystemPrompt(type, customInstructions = null, candidates = 1, structured = false) {
     const baseInstructions = this.options.instructions.customInstructions || '';
 
     // Determine convention/style based on type
-    let convention, style;
+    let convention, style, format;
 
     switch (type) {
       case 'commit':
-        convention = this.options.instructions.commitConvention?.type || 'conventional';
+        convention = this._getCommitConvention();
+        format = this.options.instructions.commitConvention?.format;
         break;
       case 'branch':
-        convention = this.options.instructions.branchNaming?.type || 'gitflow';
+        convention = this._getBranchConvention();
+        format = this.options.instructions.branchNaming?.format;
         break;
       case 'pr':
         style = this.options.instructions.prMessageStyle || 'detailed';
@@ -201,24 +1077,153 @@ class LLMOrchestrator {
         break;
     }
 
+    const template = loadPromptTemplate(this.options.repoPath, type);
+
     // Build the prompt using the centralized prompt builder
     return buildSystemPrompt(type, {
       convention,
       style,
       baseInstructions,
-      customInstructions
+      customInstructions,
+      candidates,
+      structured,
+      history: type === 'commit' || type === 'branch' ? this._getHistoryProfile() : null,
+      format: convention === 'custom' ? format : null,
+      template: template?.text,
+      variables: template ? this._getTemplateVariables() : {},
+      language: this.options.generationLanguage
     });
   }
 
+  /**
+   * Repository values offered to prompt templates, next to the convention and instructions
+   * @returns {{branch: string, recentCommits: string}}
+   */
+  _getTemplateVariables() {
+    try {
+      const repo = new GitRepository(this.options.repoPath);
+      return {
+        branch: repo.getCurrentBranch().trim(),
+        recentCommits: repo.log({ limit: 10, format: '%s', oneline: false })
+          .split('\n')
+          .filter(Boolean)
+          .map(subject => `- ${subject}`)
+          .join('\n')
+      };
+    } catch {
+      return { branch: '', recentCommits: '' };
+    }
+  }
+
+  /**
+   * The system prompt a task would be sent with, after templates and settings are applied
+   * @param {string} type - The type of request (commit, branch, pr, review)
+   * @returns {{prompt: string, template: Object|null, structured: boolean, target: {provider: string, model: string}}}
+   *   Prompt, where it came from, and the provider and model it goes to first
+   */
+  resolveSystemPrompt(type) {
+    const structured = this._usesStructuredCommits(type);
+    const candidates = this.options.skipApproval ? 1 : Math.max(1, this.options.candidates);
+    const [target] = this._getTargets(type);
+
+    return {
+      prompt: this._buildSystemPrompt(type, null, candidates, structured),
+      template: loadPromptTemplate(this.options.repoPath, type),
+      structured,
+      target: { provider: target.provider, model: target.model }
+    };
+  }
+
+  /**
+   * Commit and branch habits learned from the repository, when enabled
+   * Read once per orchestrator; the analysis itself is cached on disk per repository
+   * @returns {Object|null} Output of loadHistoryProfile
+   */
+  _getHistoryProfile() {
+    const settings = this.options.instructions.followProjectPatterns;
+    if (!settings?.enabled) {
+      return null;
+    }
+
+    // Recent commit subjects change with every commit; cassettes hash the prompt,
+    // so with them in it a recording would stop replaying after the next commit
+    if (this.cassettes.isRecording() || this.cassettes.isReplaying()) {
+      return null;
+    }
+
+    if (this.historyProfile === undefined) {
+      try {
+        this.historyProfile = loadHistoryProfile(new GitRepository(this.options.repoPath), settings);
+      } catch {
+        // Outside a repository, or git failed: generate without the examples
+        this.historyProfile = null;
+      }
+    }
+
+    return this.historyProfile;
+  }
+
+  _showLintViolations(violations) {
+    console.log(chalk.yellow.bold('  ' + i18n.t('lint.title', { count: violations.length })));
+    for (const violation of violations) {
+      console.log(chalk.yellow(`   • ${violation.message}`));
+    }
+    console.log();
+  }
+
+  _showRedactions(findings) {
+    console.log(chalk.yellow.bold('  🔒 ' + i18n.t('redaction.title', { count: findings.length })));
+    for (const group of summarizeFindings(findings)) {
+      const count = group.count > 1 ? ` ×${group.count}` : '';
+      const file = group.file ? chalk.dim(` — ${group.file}`) : '';
+      const marker = group.confidence === 'high' ? chalk.red('!') : '•';
+      console.log(chalk.yellow(`   ${marker} ${group.label}${count}`) + file);
+    }
+    console.log();
+  }
+
   _showLLMResponse(response) {
-    // Create visual separator
+    // Display the response with enhanced formatting
+    this._showResponseHeader();
+    console.log(chalk.white.bold(response + '\n'));
+    this._showResponseFooter();
+  }
+
+  _showResponseHeader() {
     const separator = chalk.gray('═'.repeat(process.stdout.columns || 80));
+    const { provider, model } = this.currentTarget;
 
-    // Display the response with enhanced formatting
     console.log('\n' + separator);
-    console.log(chalk.cyan.bold('  ' + i18n.t('llm.approvalTitle')));
+    const source = i18n.t('llm.generatedBy', { provider, model }) +
+      (this.lastFromCache ? ` · ${i18n.t('llm.fromCache')}` : '');
+
+    console.log(chalk.cyan.bold('  ' + i18n.t('llm.approvalTitle')) + chalk.dim('  ' + source));
     console.log(separator);
-    console.log(chalk.white.bold('\n' + response + '\n'));
+    console.log();
+  }
+
+  _showCandidatesHeader(context) {
+    const separator = chalk.gray('═'.repeat(process.stdout.columns || 80));
+    const { provider, model } = this.currentTarget;
+    const files = typeof context === 'string' ? splitDiffByFile(context) : [];
+
+    console.log('\n' + separator);
+    console.log(chalk.cyan.bold('  ' + i18n.t('llm.candidatesTitle')) +
+      chalk.dim('  ' + i18n.t('llm.generatedBy', { provider, model })));
+    console.log(separator);
+
+    if (files.length > 0) {
+      console.log();
+      for (const line of summarizeFileStats(files).split('\n')) {
+        console.log(chalk.dim('  ' + line));
+      }
+    }
+
+    console.log();
+  }
+
+  _showResponseFooter() {
+    const separator = chalk.gray('═'.repeat(process.stdout.columns || 80));
     console.log(separator + '\n');
   }
 }
@@ -0,0 +1,198 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { splitDiffByFile } from '../utils/diff-budget.js';
+import { sleep } from '../utils/retry.js';
+
+/**
+ * Responses used when no fixtures file is configured
+ */
+const DEFAULT_RESPONSES = {
+  commit: 'refactor: update {{files}}',
+  branch: 'feature/{{slug}}',
+  pr: '## Description\nUpdates {{files}}.\n\n## Changes\n- {{count}} file(s), +{{additions}} -{{deletions}}',
+  review: '- No issues found in {{files}}',
+  summary: '- Updates {{file}} (+{{additions}} -{{deletions}})',
+  custom: 'ok'
+};
+
+/**
+ * Offline stand-in for a provider SDK client
+ * Answers from a fixtures file (or built-in templates) so commands can run
+ * without network access or API keys, with optional latency and failures
+ *
+ * Fixtures file format:
+ * {
+ *   "latencyMs": 100,
+ *   "responses": { "commit": ["feat: update {{file}}", "fix: adjust {{file}}"] },
+ *   "rules": [
+ *     { "match": "src/broken.js", "error": { "status": 500, "message": "boom", "times": 2 } },
+ *     { "type": "commit", "match": "src/fence.js", "response": "not json", "times": 1 },
+ *     { "type": "branch", "match": "login", "response": "feature/login-form" }
+ *   ]
+ * }
+ */
+class MockClient {
+  constructor(options = {}) {
+    this.fixtures = this._loadFixtures(options.fixtures);
+    this.latencyMs = options.latencyMs ?? this.fixtures.latencyMs ?? 0;
+    this.ruleHits = new Map();
+  }
+
+  /**
+   * Produces a response for a request
+   * @param {Object} request - { type, structured, systemPrompt, context, signal }
+   * @param {Function|null} onToken - Receives the response word by word when streaming
+   * @returns {Promise<string>} Response text
+   * @throws {Error} Simulated provider error when a failure rule matches
+   */
+  async complete({ type, structured = false, context, signal = null }, onToken = null) {
+    if (this.latencyMs > 0) {
+      await sleep(this.latencyMs, signal);
+    }
+
+    const text = typeof context === 'string' ? context : JSON.stringify(context);
+    const rule = this._findRule(type, text);
+
+    if (rule?.error) {
+      throw this._buildError(rule.error);
+    }
+
+    const template = rule?.response ?? this._pickResponse(type, text);
+    let response = renderTemplate(template, { ...templateVariables(text), type });
+
+    // Plain-text commit fixtures keep working when JSON is expected;
+    // rule responses are sent verbatim so they can exercise invalid output
+    if (structured && !rule?.response && !response.trim().startsWith('{')) {
+      response = toStructuredCommit(response);
+    }
+
+    if (onToken) {
+      for (const word of response.split(/(?<=\s)/)) {
+        onToken(word);
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * @private
+   */
+  _loadFixtures(fixturesPath) {
+    if (!fixturesPath) {
+      return {};
+    }
+
+    const resolved = path.resolve(fixturesPath);
+    try {
+      return JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read mock fixtures ${resolved}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds the first rule matching this request that still applies
+   * Rules with `times` (or `error.times`) stop matching once they have fired that often
+   * @private
+   */
+  _findRule(type, text) {
+    const rules = this.fixtures.rules || [];
+
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i];
+      if (rule.type && rule.type !== type) continue;
+      if (rule.match && !text.includes(rule.match)) continue;
+
+      const hits = this.ruleHits.get(i) || 0;
+      const times = rule.times ?? rule.error?.times;
+      if (times && hits >= times) continue;
+
+      this.ruleHits.set(i, hits + 1);
+      return rule;
+    }
+
+    return null;
+  }
+
+  /**
+   * Picks a response template; arrays are indexed by a hash of the context
+   * so the same input always gets the same answer
+   * @private
+   */
+  _pickResponse(type, text) {
+    const configured = this.fixtures.responses?.[type];
+    const options = configured ?? DEFAULT_RESPONSES[type] ?? DEFAULT_RESPONSES.custom;
+
+    if (!Array.isArray(options)) {
+      return options;
+    }
+
+    const hash = crypto.createHash('sha256').update(text).digest();
+    return options[hash.readUInt32BE(0) % options.length];
+  }
+
+  /**
+   * @private
+   */
+  _buildError({ status = 500, message = 'Simulated provider failure', code = null }) {
+    const error = new Error(message);
+    error.status = status;
+    if (code) error.code = code;
+    return error;
+  }
+}
+
+/**
+ * Derives template variables from a request context
+ * @param {string} text - Request context
+ * @returns {Object} Variables for {{name}} placeholders
+ */
+function templateVariables(text) {
+  const files = splitDiffByFile(text);
+  const names = files.map(f => f.file);
+  const first = names[0] || text.split('\n')[0].slice(0, 40);
+
+  return {
+    file: names[0] || '',
+    files: names.join(', ') || first,
+    count: files.length,
+    additions: files.reduce((sum, f) => sum + f.additions, 0),
+    deletions: files.reduce((sum, f) => sum + f.deletions, 0),
+    slug: first.split('/').pop().toLowerCase().replace(/\.[^.]+$/, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'change'
+  };
+}
+
+/**
+ * Converts a plain commit message into the JSON fields structured output expects
+ * @param {string} message - Commit message such as "feat(api): add search"
+ * @returns {string} JSON object text
+ */
+function toStructuredCommit(message) {
+  const [header, ...rest] = message.trim().split('\n');
+  const match = header.match(/^(\w+)(?:\(([^)]+)\))?(!)?:\s*(.+)$/);
+
+  return JSON.stringify({
+    type: match ? match[1] : 'chore',
+    scope: match?.[2] || null,
+    subject: match ? match[4] : header,
+    body: rest.join('\n').trim() || null,
+    breaking: !!match?.[3],
+    footers: []
+  });
+}
+
+/**
+ * Replaces {{name}} placeholders
+ * @param {string} template - Template text
+ * @param {Object} variables - Values by name
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, variables) {
+  return String(template).replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    return variables[key] !== undefined ? String(variables[key]) : match;
+  });
+}
+
+export default MockClient;
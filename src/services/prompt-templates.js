@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Repository-level prompt templates
+ *
+ * A team can commit `.coparrot/prompts/<type>.md` to replace the built-in
+ * system prompt for that task. A template that contains `{{builtin}}`
+ * extends the built-in prompt instead of replacing it.
+ */
+
+// Where templates live, relative to the repository root
+export const PROMPT_TEMPLATE_DIR = path.join('.coparrot', 'prompts');
+
+// Tasks a template can be written for
+export const PROMPT_TEMPLATE_TYPES = ['commit', 'branch', 'pr', 'review'];
+
+const VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Reads the repository's template for a task, if there is one
+ * @param {string} repoRoot - Repository root
+ * @param {string} type - Task type (commit, branch, pr, review)
+ * @returns {{path: string, text: string, extends: boolean}|null} Template, or null to use the built-in prompt
+ */
+export function loadPromptTemplate(repoRoot, type) {
+  if (!repoRoot || !PROMPT_TEMPLATE_TYPES.includes(type)) {
+    return null;
+  }
+
+  const file = path.join(repoRoot, PROMPT_TEMPLATE_DIR, `${type}.md`);
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch {
+    return null;
+  }
+
+  if (!text.trim()) {
+    return null;
+  }
+
+  return {
+    path: file,
+    text,
+    extends: /\{\{\s*builtin\s*\}\}/.test(text)
+  };
+}
+
+/**
+ * Fills in `{{variable}}` placeholders
+ * Unknown variables are left as written, so a typo shows up in `coparrot prompt`
+ * @param {string} text - Template text
+ * @param {Object} variables - Values by name; null and undefined become empty
+ * @returns {string} Rendered text
+ *
+ * @example
+ * renderPromptTemplate('Use {{convention}} commits.', { convention: 'angular' });
+ * // 'Use angular commits.'
+ */
+export function renderPromptTemplate(text, variables = {}) {
+  return text.replace(VARIABLE, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      return match;
+    }
+    return variables[name] ?? '';
+  });
+}
+
+export default {
+  PROMPT_TEMPLATE_DIR,
+  PROMPT_TEMPLATE_TYPES,
+  loadPromptTemplate,
+  renderPromptTemplate
+};
@@ -4,50 +4,25 @@
  * without additional explanations, formatting, or conversational text.
  */
 
+import { getCommitTypes } from '../utils/commit-message.js';
+import { getCommitConvention, getBranchConvention } from '../utils/conventions.js';
+import { renderPromptTemplate } from './prompt-templates.js';
+import { getLanguageName } from '../utils/language.js';
+
 /**
  * Builds a commit message prompt based on the convention type
- * @param {string} convention - The commit convention type (e.g., 'conventional', 'semantic', 'gitmoji')
+ * @param {string} convention - The commit convention type (see COMMIT_CONVENTIONS)
  * @param {string} baseInstructions - Custom instructions from user config
  * @param {string} additionalInstructions - Runtime custom instructions
+ * @param {string} projectPatterns - Habits learned from the repository history
+ * @param {string|null} format - The user's format, for the custom convention
  * @returns {string} The complete system prompt
  */
-export function buildCommitPrompt(convention = 'conventional', baseInstructions = '', additionalInstructions = '') {
-  const conventionGuides = {
-    conventional: `Follow the Conventional Commits specification:
-- Format: <type>[optional scope]: <description>
-- Types: feat, fix, docs, style, refactor, perf, test, build, ci, chore, revert
-- Use lowercase for type and description
-- Description should be concise and in imperative mood
-- Example: "feat(auth): add user login functionality"
-- Example: "fix: resolve null pointer exception in parser"`,
-
-    semantic: `Follow Semantic Commit Messages:
-- Format: <emoji> <type>: <subject>
-- Types: feat, fix, docs, style, refactor, perf, test, chore
-- Include relevant emoji (✨ feat, 🐛 fix, 📝 docs, etc.)
-- Example: "✨ feat: implement user authentication"
-- Example: "🐛 fix: correct validation logic"`,
-
-    gitmoji: `Follow Gitmoji convention:
-- Start with an appropriate gitmoji
-- Follow with a clear, concise description
-- Use imperative mood
-- Common gitmojis: ✨ (new feature), 🐛 (bug fix), 📝 (docs), ♻️ (refactor)
-- Example: "✨ Add dark mode toggle"
-- Example: "🐛 Fix memory leak in event listener"`,
-
-    angular: `Follow Angular commit convention:
-- Format: <type>(<scope>): <subject>
-- Types: build, ci, docs, feat, fix, perf, refactor, style, test
-- Scope is optional but recommended
-- Subject in imperative, present tense
-- Example: "feat(core): implement lazy loading"
-- Example: "fix(router): handle navigation errors"`,
-
-    custom: `Follow the custom commit format specified in the configuration.`
-  };
-
-  const guide = conventionGuides[convention] || conventionGuides.conventional;
+export function buildCommitPrompt(convention = 'conventional', baseInstructions = '', additionalInstructions = '', projectPatterns = '', format = null) {
+  const definition = getCommitConvention(convention);
+  const guide = definition.name === 'custom'
+    ? (format ? buildCustomFormatGuide('commit message', format) : `Follow the custom commit format specified in the configuration.`)
+    : definition.guide;
 
   return `You are a specialized git commit message generator.
 
@@ -68,54 +43,119 @@ COMMIT MESSAGE REQUIREMENTS:
 4. Keep the first line under 72 characters when possible
 5. If multiple changes are present, focus on the most significant one
 6. Use present tense, imperative mood ("add" not "added" or "adds")
+7. Large changes may arrive as a file overview with truncated diffs or per-file summaries; base the message on those
 
-${baseInstructions}${additionalInstructions}
+${projectPatterns}${baseInstructions}${additionalInstructions}
 
 Remember: Output ONLY the commit message, nothing else.`;
 }
 
 /**
- * Builds a branch name prompt based on the naming convention
- * @param {string} convention - The branch naming convention (e.g., 'gitflow', 'github', 'gitlab')
+ * Builds a commit prompt that asks for the message as JSON fields
+ * The header is assembled from the fields afterwards, so the model never
+ * formats it and can't add fences or preambles around a usable message
+ * @param {string} convention - The commit convention type (e.g., 'conventional', 'angular', 'gitmoji')
  * @param {string} baseInstructions - Custom instructions from user config
  * @param {string} additionalInstructions - Runtime custom instructions
+ * @param {string} projectPatterns - Habits learned from the repository history
  * @returns {string} The complete system prompt
  */
-export function buildBranchPrompt(convention = 'gitflow', baseInstructions = '', additionalInstructions = '') {
-  const conventionGuides = {
-    gitflow: `Follow Git Flow branch naming:
-- Feature branches: feature/<descriptive-name>
-- Bugfix branches: bugfix/<descriptive-name>
-- Hotfix branches: hotfix/<descriptive-name>
-- Release branches: release/<version>
-- Use kebab-case for names
-- Example: "feature/user-authentication"
-- Example: "bugfix/login-validation-error"`,
-
-    github: `Follow GitHub Flow branch naming:
-- Format: <type>/<short-description>
-- Types: feature, fix, docs, chore, refactor
-- Use kebab-case
-- Keep it concise and descriptive
-- Example: "feature/add-dark-mode"
-- Example: "fix/memory-leak"`,
-
-    gitlab: `Follow GitLab Flow branch naming:
-- Format: <issue-number>-<description> or <type>/<description>
-- Use kebab-case
-- Reference issue numbers when applicable
-- Example: "42-implement-user-search"
-- Example: "feature/payment-integration"`,
-
-    ticket: `Follow ticket-based naming:
-- Format: <ticket-id>/<short-description>
-- Example: "JIRA-123/add-export-feature"
-- Example: "PROJ-456/fix-validation-bug"`,
-
-    custom: `Follow the custom branch naming format specified in the configuration.`
-  };
+export function buildStructuredCommitPrompt(convention = 'conventional', baseInstructions = '', additionalInstructions = '', projectPatterns = '') {
+  const types = getCommitTypes(convention);
+
+  return `You are a specialized git commit message generator that answers in JSON.
+
+CRITICAL OUTPUT RULES:
+- Return ONLY a single JSON object
+- DO NOT wrap the JSON in markdown code blocks
+- DO NOT add any explanations, notes, or text before or after the JSON
+
+JSON FORMAT:
+{
+  "type": "feat",
+  "scope": "auth",
+  "subject": "add user login functionality",
+  "body": null,
+  "breaking": false,
+  "footers": []
+}
+
+FIELDS:
+- type: one of ${types.join(', ')}
+- scope: a short lowercase name for the affected area, or null
+- subject: what the commit does, in imperative mood, lowercase, no trailing period, no type or emoji
+- body: plain text explaining what changed and why, wrapped at 72 characters, or null for small changes
+- breaking: false, or a short description of what breaks for users of the code
+- footers: git trailers such as "Refs: #123", or an empty array
+
+COMMIT MESSAGE REQUIREMENTS:
+1. Analyze the provided diff/context thoroughly
+2. Identify the primary purpose of the changes and pick the type that matches it
+3. Keep the subject short; the header built from type, scope and subject should stay under 72 characters
+4. If multiple changes are present, focus on the most significant one
+5. Use present tense, imperative mood ("add" not "added" or "adds")
+6. Large changes may arrive as a file overview with truncated diffs or per-file summaries; base the message on those
+
+${projectPatterns}${baseInstructions}${additionalInstructions}
+
+Remember: Output ONLY the JSON object, nothing else.`;
+}
+
+/**
+ * Tells the model which language to write in
+ * Fixed parts of a convention stay as they are, so `feat:` doesn't become `funcionalidade:`
+ * @param {string} language - Language code or name from `generationLanguage`
+ * @returns {string} Prompt section
+ */
+export function buildLanguageInstructions(language) {
+  return `OUTPUT LANGUAGE: Write all descriptive text in ${getLanguageName(language)}, even if examples or the context are in another language. Keep everything the convention fixes (types, scopes, branch prefixes, emoji, trailer names, JSON keys), code identifiers and file names unchanged.`;
+}
 
-  const guide = conventionGuides[convention] || conventionGuides.gitflow;
+/**
+ * Describes a user-defined format, placeholders and all
+ * @param {string} subject - What is being generated, e.g. 'commit message'
+ * @param {string} format - The format as typed in setup
+ * @returns {string} Convention guide for the prompt
+ */
+function buildCustomFormatGuide(subject, format) {
+  return `Follow this custom ${subject} format exactly. It takes precedence over any other rule below:
+${format.trim().split('\n').map(line => (line.trim() ? `  ${line}` : '')).join('\n')}
+
+- Replace every placeholder, like {type} or <ticket>, with a real value; never output a placeholder
+- Keep everything outside the placeholders (brackets, slashes, separators, fixed words) exactly as written
+- Where the format lists the values a placeholder can take, use one of those values`;
+}
+
+/**
+ * Builds the instructions for a corrective retry after an invalid response
+ * @param {string} previousResponse - The rejected response
+ * @param {string[]} errors - Why it was rejected
+ * @returns {string} Text appended to the runtime instructions
+ */
+export function buildCorrectionInstructions(previousResponse, errors) {
+  return `YOUR PREVIOUS RESPONSE WAS REJECTED:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Previous response:
+${previousResponse}
+
+Answer again, fixing every problem listed above and following the output rules exactly.`;
+}
+
+/**
+ * Builds a branch name prompt based on the naming convention
+ * @param {string} convention - The branch naming convention (see BRANCH_CONVENTIONS)
+ * @param {string} baseInstructions - Custom instructions from user config
+ * @param {string} additionalInstructions - Runtime custom instructions
+ * @param {string} projectPatterns - Habits learned from the repository history
+ * @param {string|null} format - The user's format, for the custom convention
+ * @returns {string} The complete system prompt
+ */
+export function buildBranchPrompt(convention = 'gitflow', baseInstructions = '', additionalInstructions = '', projectPatterns = '', format = null) {
+  const definition = getBranchConvention(convention);
+  const guide = definition.name === 'custom'
+    ? (format ? buildCustomFormatGuide('branch name', format) : `Follow the custom branch naming format specified in the configuration.`)
+    : definition.guide;
 
   return `You are a specialized git branch name generator.
 
@@ -133,16 +173,80 @@ ${guide}
 BRANCH NAME REQUIREMENTS:
 1. Analyze the provided context/description
 2. Create a concise, descriptive branch name
-3. Use only lowercase letters, numbers, and hyphens
+3. Use only lowercase letters, numbers, and hyphens, apart from anything the convention above requires (such as uppercase ticket IDs)
 4. Avoid special characters (except hyphens and slashes)
 5. Keep it between 3-50 characters
 6. Make it meaningful and searchable
 
-${baseInstructions}${additionalInstructions}
+${projectPatterns}${baseInstructions}${additionalInstructions}
 
 Remember: Output ONLY the branch name, nothing else.`;
 }
 
+/**
+ * Describes the repository's own commit or branch habits, with real examples
+ * The convention still decides the format; these only settle what it leaves open
+ * @param {Object|null} history - Output of loadHistoryProfile
+ * @param {string} type - 'commit' or 'branch'
+ * @returns {string} Prompt section ending in a blank line, or '' when there is nothing to show
+ */
+export function buildProjectPatternsInstructions(history, type) {
+  if (type === 'commit' && history?.commits) {
+    const commits = history.commits;
+    const lines = [];
+
+    if (commits.types.length > 0) {
+      lines.push(`- Types in use, most common first: ${commits.types.slice(0, 8).map(t => t.value).join(', ')}`);
+    }
+    if (commits.scopes.length > 0) {
+      lines.push(`- Scopes in use: ${commits.scopes.slice(0, 10).map(s => s.value).join(', ')}`);
+    }
+    if (commits.casing !== 'mixed') {
+      lines.push(`- Descriptions start with ${commits.casing === 'lower' ? 'a lowercase' : 'an uppercase'} letter`);
+    }
+    if (commits.emojiRatio >= 0.5) {
+      lines.push('- Subjects start with an emoji');
+    } else if (commits.emojiRatio === 0) {
+      lines.push('- Subjects never use emoji');
+    }
+    if (commits.trailingPeriodRatio < 0.2) {
+      lines.push('- Subjects have no trailing period');
+    }
+    lines.push(`- Subjects are usually about ${commits.medianLength} characters long`);
+
+    return `PROJECT PATTERNS (learned from the last ${commits.count} commits of this repository; follow them wherever the convention allows):
+${lines.join('\n')}
+
+Recent commit subjects from this repository:
+${commits.examples.map(example => `- ${example}`).join('\n')}
+
+`;
+  }
+
+  if (type === 'branch' && history?.branches) {
+    const branches = history.branches;
+    const lines = [];
+
+    if (branches.prefixes.length > 0) {
+      lines.push(`- Prefixes in use, most common first: ${branches.prefixes.slice(0, 8).map(p => `${p.value}/`).join(', ')}`);
+    }
+    if (branches.ticketRatio >= 0.5) {
+      lines.push('- Most branches include a ticket or issue reference');
+    }
+    lines.push(`- Words are separated with "${branches.separator}"`);
+
+    return `PROJECT PATTERNS (learned from the ${branches.count} branches of this repository; follow them wherever the convention allows):
+${lines.join('\n')}
+
+Existing branch names from this repository:
+${branches.examples.map(example => `- ${example}`).join('\n')}
+
+`;
+  }
+
+  return '';
+}
+
 /**
  * Builds a PR description prompt based on the style
  * @param {string} style - The PR description style (e.g., 'detailed', 'concise', 'template')
@@ -236,10 +340,76 @@ ${baseInstructions}${additionalInstructions}
 Remember: Output ONLY the review content, nothing else.`;
 }
 
+/**
+ * Builds the prompt for the first stage of large-diff summarization
+ * Each file's diff is condensed on its own before the final message is written
+ * @param {string} baseInstructions - Custom instructions from user config
+ * @param {string} additionalInstructions - Runtime custom instructions
+ * @returns {string} The complete system prompt
+ */
+export function buildDiffSummaryPrompt(baseInstructions = '', additionalInstructions = '') {
+  return `You are a specialized code change summarizer.
+
+CRITICAL OUTPUT RULES:
+- Return ONLY the summary as 1-5 short bullet points starting with "- "
+- DO NOT include any introduction, explanation, or closing text
+- DO NOT repeat the file name
+
+SUMMARY REQUIREMENTS:
+1. Describe WHAT changed and, when it is evident, WHY
+2. Mention renamed, added or removed functions, classes, exports and config keys by name
+3. Skip formatting-only and whitespace changes unless that is all the diff contains
+4. If the diff is truncated, summarize only what is visible
+
+${baseInstructions}${additionalInstructions}
+
+Remember: Output ONLY the bullet points, nothing else.`;
+}
+
+/**
+ * Line that separates alternatives when several candidates are requested
+ */
+export const CANDIDATE_SEPARATOR = '---CANDIDATE---';
+
+/**
+ * Builds the instructions for returning several alternatives in one response
+ * @param {number} count - Number of candidates wanted
+ * @returns {string} Prompt section appended after the task prompt
+ */
+export function buildCandidatesInstructions(count) {
+  return `MULTIPLE CANDIDATES:
+- Produce exactly ${count} distinct alternatives, each following every rule above
+- Vary wording, scope or emphasis between alternatives; do not repeat the same text
+- Separate alternatives with a line containing only ${CANDIDATE_SEPARATOR}
+- DO NOT number or label the alternatives
+
+Remember: Output ONLY the ${count} alternatives and the separators, nothing else.`;
+}
+
+/**
+ * Splits a multi-candidate response into its alternatives
+ * @param {string} response - Raw model response
+ * @returns {string[]} Non-empty, trimmed candidates
+ *
+ * @example
+ * splitCandidates('feat: a\n---CANDIDATE---\nfeat: b'); // ['feat: a', 'feat: b']
+ */
+export function splitCandidates(response) {
+  return (response || '')
+    .split(new RegExp(`^\\s*${CANDIDATE_SEPARATOR}\\s*$`, 'm'))
+    .map(candidate => candidate.trim())
+    .filter(Boolean);
+}
+
 /**
  * Generic helper to build system prompts
- * @param {string} type - The type of prompt (commit, branch, pr, review)
+ * A repository template, when given, replaces the built-in prompt; the built-in
+ * text is still available to it as {{builtin}}
+ * @param {string} type - The type of prompt (commit, branch, pr, review, summary)
  * @param {Object} options - Configuration options
+ * @param {string|null} [options.template] - Repository template text
+ * @param {Object} [options.variables] - Values for the template's {{variables}}
+ * @param {string} [options.language] - Language to write in (`generationLanguage`)
  * @returns {string} The complete system prompt
  */
 export function buildSystemPrompt(type, options = {}) {
@@ -247,39 +417,89 @@ export function buildSystemPrompt(type, options = {}) {
     convention,
     style,
     baseInstructions = '',
-    customInstructions = ''
+    customInstructions = '',
+    candidates = 1,
+    structured = false,
+    history = null,
+    format = null,
+    template = null,
+    variables = {},
+    language = 'en'
   } = options;
 
+  if (candidates > 1) {
+    return `${buildSystemPrompt(type, { ...options, candidates: 1 })}\n\n${buildCandidatesInstructions(candidates)}`;
+  }
+
+  if (template) {
+    const rendered = renderPromptTemplate(template, {
+      convention,
+      style,
+      format,
+      customInstructions: [baseInstructions, customInstructions].filter(Boolean).join('\n\n'),
+      language: getLanguageName(language),
+      ...variables,
+      builtin: buildSystemPrompt(type, { ...options, template: null })
+    }).trim();
+
+    const uses = (name) => new RegExp(`\\{\\{\\s*(builtin|${name})\\s*\\}\\}`).test(template);
+    const sections = [rendered];
+
+    // The language setting applies to templates too, unless the template words it itself
+    if (!uses('language')) {
+      sections.push(buildLanguageInstructions(language));
+    }
+    // Retry instructions and lint feedback have to reach the model even if the template leaves them out
+    if (customInstructions && !uses('customInstructions')) {
+      sections.push(`ADDITIONAL USER INSTRUCTIONS:\n${customInstructions}`);
+    }
+
+    return sections.join('\n\n');
+  }
+
   const additionalInstructions = customInstructions
     ? `\n\nADDITIONAL USER INSTRUCTIONS:\n${customInstructions}`
     : '';
+  const projectPatterns = buildProjectPatternsInstructions(history, type);
+  // Every task is told which language to write in, whatever the interface language is
+  const instructions = [buildLanguageInstructions(language), baseInstructions].filter(Boolean).join('\n\n');
 
   switch (type) {
     case 'commit':
-      return buildCommitPrompt(
+      return (structured ? buildStructuredCommitPrompt : buildCommitPrompt)(
         convention || 'conventional',
-        baseInstructions,
-        additionalInstructions
+        instructions,
+        additionalInstructions,
+        projectPatterns,
+        format
       );
 
     case 'branch':
       return buildBranchPrompt(
         convention || 'gitflow',
-        baseInstructions,
-        additionalInstructions
+        instructions,
+        additionalInstructions,
+        projectPatterns,
+        format
       );
 
     case 'pr':
       return buildPRPrompt(
         style || 'detailed',
-        baseInstructions,
+        instructions,
         additionalInstructions
       );
 
     case 'review':
       return buildCodeReviewPrompt(
         style || 'detailed',
-        baseInstructions,
+        instructions,
+        additionalInstructions
+      );
+
+    case 'summary':
+      return buildDiffSummaryPrompt(
+        instructions,
         additionalInstructions
       );
 
@@ -291,6 +511,6 @@ CRITICAL OUTPUT RULES:
 - DO NOT include explanations or meta-commentary
 - The output should be ready to use directly
 
-${baseInstructions}${additionalInstructions}`;
+${instructions}${additionalInstructions}`;
   }
 }
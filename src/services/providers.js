@@ -0,0 +1,466 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
+import OpenAI, { AzureOpenAI } from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { fetch as undiciFetch } from 'undici';
+import MockClient from './mock-provider.js';
+import { getConfigDir } from './config.js';
+import { createDispatcher } from '../utils/http-agent.js';
+
+/**
+ * Provider registry
+ * Every provider, built-in or plugin, is an object with:
+ *   name          - what users put under `provider` in the config
+ *   createClient  - (settings) => client; settings are the resolved connection
+ *                   settings ({ apiKey, baseURL, headers, apiVersion, deployment,
+ *                   proxy, caFile, timeout, options })
+ *   generate      - (request) => Promise<{ text, usage }>
+ *   stream        - optional (request, onToken) => Promise<{ text, usage }>
+ *   listModels    - optional (client) => Promise<string[]>
+ *   defaultModel  - optional model used when the config names none
+ *   askModel      - optional, true for setup to ask for a model even with a default
+ *   fastModel     - optional cheaper model setup offers for quick tasks
+ *   requiresApiKey - optional, false for providers that run without a key
+ *   label, description - optional, shown by setup
+ *   hidden        - optional, true to leave the provider out of setup
+ *
+ * Setup lists providers in the order they are registered.
+ *
+ * A request is { client, model, systemPrompt, context, signal, type, structured }.
+ * `usage` is { promptTokens, completionTokens }, or null when unknown.
+ * Errors with a numeric `status` (HTTP status) are retried and fall back like SDK errors.
+ */
+const providers = new Map();
+
+// Ollama's OpenAI-compatible endpoint, used when a local provider has no baseURL
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+/**
+ * Adds a provider to the registry, replacing any provider with the same name
+ * @param {Object} definition - Provider definition (see above)
+ * @returns {Object} The registered definition
+ * @throws {Error} When required fields are missing
+ */
+export function registerProvider(definition) {
+  if (!definition || typeof definition.name !== 'string' || !definition.name.trim()) {
+    throw new Error('Provider definitions need a "name"');
+  }
+
+  for (const field of ['createClient', 'generate']) {
+    if (typeof definition[field] !== 'function') {
+      throw new Error(`Provider "${definition.name}" needs a "${field}" function`);
+    }
+  }
+
+  for (const field of ['stream', 'listModels']) {
+    if (definition[field] !== undefined && typeof definition[field] !== 'function') {
+      throw new Error(`Provider "${definition.name}": "${field}" must be a function`);
+    }
+  }
+
+  const registered = { ...definition, name: definition.name.trim().toLowerCase() };
+  providers.set(registered.name, registered);
+  return registered;
+}
+
+/**
+ * Looks up a provider by name, case-insensitively
+ * @param {string} name - Provider name
+ * @returns {Object|undefined} Definition
+ */
+export function getProvider(name) {
+  return providers.get((name || '').toLowerCase());
+}
+
+/**
+ * Names of every registered provider
+ * @returns {string[]}
+ */
+export function listProviders() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Imports provider plugins and registers what they export
+ * A plugin is an ES module whose default export is a provider definition or an
+ * array of them. Modules come from the `providerPlugins` config list (paths or
+ * package names) and from every .js/.mjs file in the plugins directory.
+ * A broken plugin is reported, not fatal, so one bad file can't lock you out.
+ * @param {Object} options - Where to look
+ * @param {string[]} [options.plugins] - Module paths or package names
+ * @param {string} [options.dir] - Plugins directory
+ * @returns {Promise<{loaded: string[], errors: Array<{source: string, message: string}>}>}
+ */
+export async function loadProviderPlugins({ plugins = [], dir = path.join(getConfigDir(), 'plugins') } = {}) {
+  const sources = [...plugins];
+
+  if (fs.existsSync(dir)) {
+    const files = fs.readdirSync(dir)
+      .filter(file => /\.m?js$/.test(file))
+      .sort();
+    sources.push(...files.map(file => path.join(dir, file)));
+  }
+
+  const loaded = [];
+  const errors = [];
+
+  for (const source of sources) {
+    try {
+      const module = await import(resolvePluginSpecifier(source));
+      const definitions = [module.default ?? module.provider].flat().filter(Boolean);
+
+      if (definitions.length === 0) {
+        throw new Error('no provider exported (expected a default export)');
+      }
+
+      for (const definition of definitions) {
+        loaded.push(registerProvider(definition).name);
+      }
+    } catch (error) {
+      errors.push({ source, message: error.message });
+    }
+  }
+
+  return { loaded, errors };
+}
+
+/**
+ * Turns file paths into import URLs; package names are left for Node to resolve
+ * @param {string} source - Path or package name
+ * @returns {string} Import specifier
+ */
+function resolvePluginSpecifier(source) {
+  const isPath = path.isAbsolute(source) || source.startsWith('.') || source.startsWith('~');
+  if (!isPath) {
+    return source;
+  }
+
+  const expanded = source.startsWith('~')
+    ? path.join(process.env.HOME || '', source.slice(1))
+    : path.resolve(source);
+  return pathToFileURL(expanded).href;
+}
+
+/**
+ * Builds a usage record from provider token counts
+ * @param {number|undefined} promptTokens - Input tokens
+ * @param {number|undefined} completionTokens - Output tokens
+ * @returns {Object|null} Usage, or null if the provider didn't report any
+ */
+function toUsage(promptTokens, completionTokens) {
+  if (typeof promptTokens !== 'number' && typeof completionTokens !== 'number') {
+    return null;
+  }
+
+  return {
+    promptTokens: promptTokens || 0,
+    completionTokens: completionTokens || 0
+  };
+}
+
+/**
+ * fetch options carrying the proxy / CA dispatcher, if the settings need one
+ * @param {Object} settings - Connection settings
+ * @param {boolean} envProxy - Honor the proxy environment variables
+ * @returns {Object|undefined}
+ */
+function getFetchOptions(settings, envProxy = true) {
+  const dispatcher = createDispatcher({ proxy: settings.proxy, caFile: settings.caFile, envProxy });
+  return dispatcher ? { dispatcher } : undefined;
+}
+
+function chatMessages(systemPrompt, context) {
+  return [
+    {
+      role: 'system',
+      content: systemPrompt
+    },
+    {
+      role: 'user',
+      content: JSON.stringify(context)
+    }
+  ];
+}
+
+/**
+ * Whether a chat completions client talks to OpenAI's own API
+ * Older Azure api-versions and some compatible servers answer `stream_options`
+ * with a 400, so elsewhere streamed usage is left to the ledger's estimate
+ * @param {Object} client - OpenAI SDK client
+ * @returns {boolean}
+ */
+function isOpenAIPlatform(client) {
+  try {
+    return new URL(client.baseURL).hostname === 'api.openai.com';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Chat completions, shared by OpenAI and OpenAI-compatible servers
+ */
+const openAICompatible = {
+  async generate({ client, model, systemPrompt, context, signal }) {
+    const response = await client.chat.completions.create({
+      model,
+      messages: chatMessages(systemPrompt, context)
+    }, { signal: signal || undefined });
+
+    return {
+      text: response.choices[0].message.content,
+      usage: toUsage(response.usage?.prompt_tokens, response.usage?.completion_tokens)
+    };
+  },
+
+  async stream({ client, model, systemPrompt, context, signal }, onToken) {
+    const response = await client.chat.completions.create({
+      model,
+      messages: chatMessages(systemPrompt, context),
+      stream: true,
+      // Streamed responses only report usage when asked to, in a final chunk
+      ...(isOpenAIPlatform(client) && { stream_options: { include_usage: true } })
+    }, { signal: signal || undefined });
+
+    let text = '';
+    let usage = null;
+    for await (const chunk of response) {
+      const token = chunk.choices[0]?.delta?.content || '';
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+
+    return { text, usage: toUsage(usage?.prompt_tokens, usage?.completion_tokens) };
+  },
+
+  async listModels(client) {
+    const models = [];
+    for await (const model of client.models.list()) {
+      models.push(model.id);
+    }
+    return models.sort();
+  }
+};
+
+registerProvider({
+  name: 'openai',
+  label: 'OpenAI',
+  defaultModel: 'gpt-4',
+  fastModel: 'gpt-4o-mini',
+  createClient(settings) {
+    const common = {
+      apiKey: settings.apiKey,
+      defaultHeaders: settings.headers,
+      maxRetries: 0,
+      timeout: settings.timeout || undefined,
+      fetchOptions: getFetchOptions(settings)
+    };
+
+    // An API version means an Azure OpenAI resource, or a gateway that mimics one
+    if (settings.apiVersion) {
+      return new AzureOpenAI({
+        ...common,
+        endpoint: settings.baseURL || undefined,
+        apiVersion: settings.apiVersion,
+        deployment: settings.deployment || undefined
+      });
+    }
+
+    return new OpenAI({ ...common, baseURL: settings.baseURL || undefined });
+  },
+  ...openAICompatible
+});
+
+function claudeRequest(model, systemPrompt, context) {
+  return {
+    model,
+    max_tokens: 1024,
+    system: systemPrompt,
+    messages: [
+      {
+        role: 'user',
+        content: JSON.stringify(context)
+      }
+    ]
+  };
+}
+
+function claudeResult(response) {
+  // Responses can hold several content blocks; only text blocks matter here
+  const text = response.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+
+  return {
+    text,
+    usage: toUsage(response.usage?.input_tokens, response.usage?.output_tokens)
+  };
+}
+
+registerProvider({
+  name: 'claude',
+  label: 'Anthropic Claude',
+  defaultModel: 'claude-sonnet-4-5',
+  fastModel: 'claude-haiku-4-5',
+  createClient(settings) {
+    return new Anthropic({
+      apiKey: settings.apiKey,
+      baseURL: settings.baseURL || undefined,
+      defaultHeaders: settings.headers,
+      maxRetries: 0,
+      timeout: settings.timeout || undefined,
+      fetchOptions: getFetchOptions(settings)
+    });
+  },
+  async generate({ client, model, systemPrompt, context, signal }) {
+    const response = await client.messages.create(claudeRequest(model, systemPrompt, context), { signal: signal || undefined });
+    return claudeResult(response);
+  },
+  async stream({ client, model, systemPrompt, context, signal }, onToken) {
+    const stream = client.messages.stream(claudeRequest(model, systemPrompt, context), { signal: signal || undefined });
+    stream.on('text', onToken);
+    return claudeResult(await stream.finalMessage());
+  },
+  async listModels(client) {
+    const models = [];
+    for await (const model of client.models.list()) {
+      models.push(model.id);
+    }
+    return models;
+  }
+});
+
+// The Gemini SDK always calls the global fetch, with no option for a dispatcher.
+// Its calls run inside this context, and the fetch wrapper below adds the
+// dispatcher only there, so other providers' traffic never goes through it.
+const geminiDispatcher = new AsyncLocalStorage();
+let scopedFetchInstalled = false;
+
+function withGeminiDispatcher(client, run) {
+  if (!client.dispatcher) {
+    return run();
+  }
+
+  if (!scopedFetchInstalled) {
+    const globalFetch = globalThis.fetch;
+    globalThis.fetch = (input, init = {}) => {
+      const dispatcher = geminiDispatcher.getStore();
+      return dispatcher ? undiciFetch(input, { ...init, dispatcher }) : globalFetch(input, init);
+    };
+    scopedFetchInstalled = true;
+  }
+
+  return geminiDispatcher.run(client.dispatcher, run);
+}
+
+function geminiModel({ client, model, systemPrompt }) {
+  return client.sdk.getGenerativeModel({ model, systemInstruction: systemPrompt }, client.requestOptions);
+}
+
+function geminiResult(response) {
+  return {
+    text: response.text(),
+    usage: toUsage(response.usageMetadata?.promptTokenCount, response.usageMetadata?.candidatesTokenCount)
+  };
+}
+
+registerProvider({
+  name: 'gemini',
+  label: 'Google Gemini',
+  defaultModel: 'gemini-2.5-flash',
+  fastModel: 'gemini-2.5-flash-lite',
+  createClient(settings) {
+    // Endpoint settings are passed per model rather than per client
+    return {
+      sdk: new GoogleGenerativeAI(settings.apiKey),
+      dispatcher: getFetchOptions(settings)?.dispatcher,
+      requestOptions: {
+        baseUrl: settings.baseURL || undefined,
+        apiVersion: settings.apiVersion || undefined,
+        customHeaders: settings.headers,
+        timeout: settings.timeout || undefined
+      }
+    };
+  },
+  async generate(request) {
+    const result = await withGeminiDispatcher(request.client, () =>
+      geminiModel(request).generateContent(JSON.stringify(request.context), { signal: request.signal || undefined })
+    );
+    return geminiResult(result.response);
+  },
+  async stream(request, onToken) {
+    const result = await withGeminiDispatcher(request.client, () =>
+      geminiModel(request).generateContentStream(JSON.stringify(request.context), { signal: request.signal || undefined })
+    );
+    for await (const chunk of result.stream) {
+      const token = chunk.text();
+      if (token) {
+        onToken(token);
+      }
+    }
+    // The aggregated response carries the full text and the usage metadata
+    return geminiResult(await result.response);
+  }
+});
+
+registerProvider({
+  name: 'local',
+  label: 'Local / OpenAI-compatible',
+  defaultModel: 'llama3.1',
+  // What is installed differs on every machine
+  askModel: true,
+  requiresApiKey: false,
+  createClient(settings) {
+    // OpenAI-compatible servers (Ollama, LM Studio, llama.cpp) usually ignore the key,
+    // but the SDK refuses to start without one
+    return new OpenAI({
+      apiKey: settings.apiKey || 'local',
+      baseURL: settings.baseURL || DEFAULT_LOCAL_BASE_URL,
+      defaultHeaders: settings.headers,
+      maxRetries: 0,
+      timeout: settings.timeout || undefined,
+      // Local servers sit next to coParrot; a corporate proxy from the environment would only get in the way
+      fetchOptions: getFetchOptions(settings, false)
+    });
+  },
+  ...openAICompatible
+});
+
+registerProvider({
+  name: 'mock',
+  label: 'Mock',
+  defaultModel: 'mock',
+  requiresApiKey: false,
+  hidden: true,
+  createClient(settings) {
+    return new MockClient(settings.mock);
+  },
+  async generate(request) {
+    return this.stream(request, null);
+  },
+  async stream({ client, systemPrompt, context, signal, type = 'custom', structured = false }, onToken) {
+    const text = await client.complete({ type, structured, systemPrompt, context, signal }, onToken);
+
+    // No real tokens are spent, but the ledger still sees the call
+    return { text, usage: { promptTokens: 0, completionTokens: 0 } };
+  },
+  async listModels() {
+    return ['mock'];
+  }
+});
+
+export default {
+  registerProvider,
+  getProvider,
+  listProviders,
+  loadProviderPlugins
+};
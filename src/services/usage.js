@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from './config.js';
+
+/**
+ * Prices in USD per million tokens, by model name prefix (longest prefix wins)
+ * Override or extend with the `prices` config key
+ */
+export const MODEL_PRICES = {
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'claude-opus': { input: 15, output: 75 },
+  'claude-sonnet': { input: 3, output: 15 },
+  'claude-haiku': { input: 1, output: 5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 }
+};
+
+/**
+ * Local ledger of token usage, one JSON line per provider call
+ */
+class UsageLedger {
+  constructor(options = {}) {
+    this.options = {
+      path: path.join(getConfigDir(), 'usage.jsonl'),
+      prices: {},
+      ...options
+    };
+  }
+
+  /**
+   * Looks up the price for a model
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @returns {{input: number, output: number}|null} USD per million tokens, or null if unknown
+   */
+  getPrice(provider, model) {
+    // Nothing leaves the machine, nothing to pay
+    if (provider === 'local' || provider === 'mock') {
+      return { input: 0, output: 0 };
+    }
+
+    const prices = { ...MODEL_PRICES, ...this.options.prices };
+    const name = (model || '').toLowerCase();
+    const prefix = Object.keys(prices)
+      .filter(p => name.startsWith(p.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? prices[prefix] : null;
+  }
+
+  /**
+   * Appends one call to the ledger
+   * @param {Object} entry - { provider, model, type, repo, promptTokens, completionTokens, estimated }
+   * @returns {Object} The stored entry, including timestamp and cost
+   */
+  record(entry) {
+    const price = this.getPrice(entry.provider, entry.model);
+    const cost = price
+      ? (entry.promptTokens * price.input + entry.completionTokens * price.output) / 1e6
+      : null;
+
+    const stored = { timestamp: new Date().toISOString(), ...entry, cost };
+
+    try {
+      fs.mkdirSync(path.dirname(this.options.path), { recursive: true });
+      fs.appendFileSync(this.options.path, JSON.stringify(stored) + '\n', 'utf-8');
+    } catch {
+      // Usage tracking must never break a generation
+    }
+
+    return stored;
+  }
+
+  /**
+   * Reads ledger entries, optionally only those since a date
+   * @param {Object} options - Read options
+   * @param {Date} [options.since] - Earliest timestamp to include
+   * @returns {Array<Object>} Ledger entries, oldest first
+   */
+  read(options = {}) {
+    if (!fs.existsSync(this.options.path)) {
+      return [];
+    }
+
+    const entries = [];
+    for (const line of fs.readFileSync(this.options.path, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+
+      try {
+        const entry = JSON.parse(line);
+        if (options.since && new Date(entry.timestamp) < options.since) continue;
+        entries.push(entry);
+      } catch {
+        // Skip lines that were cut off mid-write
+      }
+    }
+
+    return entries;
+  }
+}
+
+/**
+ * Groups ledger entries and sums tokens and cost
+ * @param {Array<Object>} entries - Ledger entries
+ * @param {Function} keyFn - Returns the group key for an entry
+ * @returns {Array<Object>} Rows of { key, calls, promptTokens, completionTokens, cost }, sorted by key
+ *
+ * @example
+ * summarizeUsage(entries, e => e.type);
+ * // [{ key: 'commit', calls: 12, promptTokens: 40210, completionTokens: 610, cost: 0.13 }, ...]
+ */
+export function summarizeUsage(entries, keyFn) {
+  const groups = new Map();
+
+  for (const entry of entries) {
+    const key = keyFn(entry) || 'unknown';
+    const row = groups.get(key) || { key, calls: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+
+    row.calls++;
+    row.promptTokens += entry.promptTokens || 0;
+    row.completionTokens += entry.completionTokens || 0;
+    row.cost += entry.cost || 0;
+    groups.set(key, row);
+  }
+
+  return Array.from(groups.values()).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+export default UsageLedger;
@@ -0,0 +1,221 @@
+/**
+ * Structured commit messages
+ * The model answers with a JSON object (type, scope, subject, body, breaking, footers);
+ * these helpers parse it, check it against the commit convention and build the final text
+ */
+
+import { COMMIT_TYPES, COMMIT_CONVENTIONS, getCommitConvention } from './conventions.js';
+
+export { COMMIT_TYPES };
+
+/**
+ * Emoji used for each type by the semantic and gitmoji conventions
+ */
+export const TYPE_EMOJIS = {
+  feat: '✨',
+  fix: '🐛',
+  docs: '📝',
+  style: '💄',
+  refactor: '♻️',
+  perf: '⚡️',
+  test: '✅',
+  build: '👷',
+  ci: '💚',
+  chore: '🔧',
+  revert: '⏪️'
+};
+
+// Longest header git tooling shows without cutting it off
+export const MAX_HEADER_LENGTH = 100;
+
+const SCOPE_PATTERN = /^[a-z0-9][a-z0-9._/-]*$/i;
+const FOOTER_PATTERN = /^(BREAKING CHANGE|[A-Za-z][\w-]*)(: | #)\S/;
+
+/**
+ * Whether a convention is generated as structured output
+ * @param {string} convention - Commit convention name
+ * @returns {boolean}
+ */
+export function supportsStructuredCommits(convention) {
+  // Conventions without a type list (simple, custom) stay free text
+  return !!COMMIT_CONVENTIONS[convention]?.types;
+}
+
+/**
+ * Types the model may choose from for a convention
+ * @param {string} convention - Commit convention name
+ * @returns {string[]} Allowed types
+ */
+export function getCommitTypes(convention) {
+  return getCommitConvention(convention).types || COMMIT_TYPES;
+}
+
+/**
+ * Reads the JSON object out of a model response
+ * Text around the object (fences, preambles) is ignored, since the
+ * message is rebuilt from the fields anyway
+ * @param {string} text - Raw model response
+ * @returns {{commit: Object|null, error: string|null}} Parsed fields, or why parsing failed
+ *
+ * @example
+ * parseStructuredCommit('{"type":"fix","subject":"handle empty diff"}');
+ * // { commit: { type: 'fix', scope: null, subject: 'handle empty diff', body: null, breaking: false, footers: [] }, error: null }
+ */
+export function parseStructuredCommit(text) {
+  const start = (text || '').indexOf('{');
+  const end = (text || '').lastIndexOf('}');
+
+  if (start === -1 || end < start) {
+    return { commit: null, error: 'the response is not a JSON object' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return { commit: null, error: `the response is not valid JSON (${error.message})` };
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { commit: null, error: 'the response is not a JSON object' };
+  }
+
+  return {
+    commit: {
+      type: typeof data.type === 'string' ? data.type.trim().toLowerCase() : data.type,
+      scope: typeof data.scope === 'string' ? data.scope.trim() || null : data.scope ?? null,
+      subject: typeof data.subject === 'string' ? data.subject.trim() : data.subject,
+      body: typeof data.body === 'string' ? data.body.trim() || null : data.body ?? null,
+      breaking: typeof data.breaking === 'string' ? data.breaking.trim() || false : data.breaking ?? false,
+      footers: data.footers ?? []
+    },
+    error: null
+  };
+}
+
+/**
+ * Checks parsed fields against a convention
+ * @param {Object} commit - Output of parseStructuredCommit
+ * @param {string} convention - Commit convention name
+ * @returns {string[]} Problems found, empty when the commit is valid
+ */
+export function validateStructuredCommit(commit, convention = 'conventional') {
+  const errors = [];
+  const types = getCommitTypes(convention);
+
+  if (typeof commit.type !== 'string' || !commit.type) {
+    errors.push('"type" is required');
+  } else if (!types.includes(commit.type)) {
+    errors.push(`"type" must be one of: ${types.join(', ')} (got "${commit.type}")`);
+  }
+
+  if (commit.scope !== null && (typeof commit.scope !== 'string' || !SCOPE_PATTERN.test(commit.scope))) {
+    errors.push('"scope" must be a short word such as "auth" or "api/users", or null');
+  }
+
+  if (typeof commit.subject !== 'string' || !commit.subject) {
+    errors.push('"subject" is required');
+  } else {
+    if (commit.subject.includes('\n')) {
+      errors.push('"subject" must be a single line');
+    }
+    if (/^[a-z]+(\([^)]*\))?!?:/i.test(commit.subject) || /^\p{Extended_Pictographic}/u.test(commit.subject)) {
+      errors.push('"subject" must not repeat the type, scope or emoji');
+    }
+    if (commit.subject.includes('`')) {
+      errors.push('"subject" must be plain text without markdown');
+    }
+  }
+
+  if (commit.body !== null && typeof commit.body !== 'string') {
+    errors.push('"body" must be a string or null');
+  }
+
+  if (typeof commit.breaking !== 'boolean' && typeof commit.breaking !== 'string') {
+    errors.push('"breaking" must be false or a short description of the breaking change');
+  }
+
+  if (!Array.isArray(commit.footers)) {
+    errors.push('"footers" must be an array');
+  } else {
+    for (const footer of commit.footers) {
+      if (typeof footer !== 'string' || !FOOTER_PATTERN.test(footer)) {
+        errors.push(`footer ${JSON.stringify(footer)} must look like "Token: value", e.g. "Refs: #123"`);
+      }
+    }
+  }
+
+  if (errors.length === 0) {
+    const header = formatCommitHeader(commit, convention);
+    if (header.length > MAX_HEADER_LENGTH) {
+      errors.push(`the header "${header}" is ${header.length} characters; keep it under ${MAX_HEADER_LENGTH}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Builds the first line of the message for a convention
+ * @param {Object} commit - Valid structured commit
+ * @param {string} convention - Commit convention name
+ * @returns {string} Header line
+ */
+export function formatCommitHeader(commit, convention = 'conventional') {
+  const scope = commit.scope ? `(${commit.scope})` : '';
+  const emoji = TYPE_EMOJIS[commit.type] || TYPE_EMOJIS.chore;
+
+  switch (convention) {
+    case 'gitmoji':
+      return `${emoji} ${commit.subject.charAt(0).toUpperCase()}${commit.subject.slice(1)}`;
+    case 'semantic':
+      return `${emoji} ${commit.type}${scope}: ${commit.subject}`;
+    case 'angular':
+      return `${commit.type}${scope}: ${commit.subject}`;
+    default:
+      return `${commit.type}${scope}${commit.breaking ? '!' : ''}: ${commit.subject}`;
+  }
+}
+
+/**
+ * Assembles the full commit message: header, body, then footers
+ * Breaking changes get a BREAKING CHANGE footer unless the model wrote one,
+ * or, in conventional commits with no description, just the "!" marker
+ * @param {Object} commit - Valid structured commit
+ * @param {string} convention - Commit convention name
+ * @returns {string} Message ready for git commit
+ *
+ * @example
+ * formatCommitMessage({ type: 'feat', scope: 'api', subject: 'add search', body: null,
+ *   breaking: 'drops the v1 endpoint', footers: ['Refs: #42'] });
+ * // 'feat(api)!: add search\n\nRefs: #42\nBREAKING CHANGE: drops the v1 endpoint'
+ */
+export function formatCommitMessage(commit, convention = 'conventional') {
+  const footers = [...commit.footers];
+  const hasBreakingFooter = footers.some(f => /^BREAKING[ -]CHANGE:/.test(f));
+
+  if (commit.breaking && !hasBreakingFooter) {
+    if (typeof commit.breaking === 'string') {
+      footers.push(`BREAKING CHANGE: ${commit.breaking}`);
+    } else if (convention !== 'conventional') {
+      // Only conventional commits can say it in the header
+      footers.push(`BREAKING CHANGE: ${commit.subject}`);
+    }
+  }
+
+  return [formatCommitHeader(commit, convention), commit.body, footers.join('\n')]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+export default {
+  COMMIT_TYPES,
+  TYPE_EMOJIS,
+  MAX_HEADER_LENGTH,
+  supportsStructuredCommits,
+  getCommitTypes,
+  parseStructuredCommit,
+  validateStructuredCommit,
+  formatCommitHeader,
+  formatCommitMessage
+};
@@ -0,0 +1,204 @@
+/**
+ * Commit and branch naming conventions
+ * The one list setup offers, the prompts describe and validation checks against,
+ * so a convention can't be offered in one place and unknown in another
+ */
+
+export const COMMIT_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+
+/**
+ * Commit conventions, in the order setup lists them
+ * - label: i18n key under setup.commitConventions (plus `Desc` for the description)
+ * - guide: convention section of the commit prompt; custom builds it from the user's format
+ * - types: allowed types; set for conventions that can be generated as structured fields
+ * - lint: rule overrides on top of the lint defaults
+ */
+export const COMMIT_CONVENTIONS = {
+  conventional: {
+    label: 'conventional',
+    types: COMMIT_TYPES,
+    lint: {},
+    guide: `Follow the Conventional Commits specification:
+- Format: <type>[optional scope]: <description>
+- Types: feat, fix, docs, style, refactor, perf, test, build, ci, chore, revert
+- Use lowercase for type and description
+- Description should be concise and in imperative mood
+- Example: "feat(auth): add user login functionality"
+- Example: "fix: resolve null pointer exception in parser"`
+  },
+
+  angular: {
+    label: 'angular',
+    types: ['build', 'ci', 'docs', 'feat', 'fix', 'perf', 'refactor', 'style', 'test'],
+    lint: {},
+    guide: `Follow Angular commit convention:
+- Format: <type>(<scope>): <subject>
+- Types: build, ci, docs, feat, fix, perf, refactor, style, test
+- Scope is optional but recommended
+- Subject in imperative, present tense
+- Example: "feat(core): implement lazy loading"
+- Example: "fix(router): handle navigation errors"`
+  },
+
+  semantic: {
+    label: 'semantic',
+    types: ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'chore'],
+    lint: {},
+    guide: `Follow Semantic Commit Messages:
+- Format: <emoji> <type>: <subject>
+- Types: feat, fix, docs, style, refactor, perf, test, chore
+- Include relevant emoji (✨ feat, 🐛 fix, 📝 docs, etc.)
+- Example: "✨ feat: implement user authentication"
+- Example: "🐛 fix: correct validation logic"`
+  },
+
+  gitmoji: {
+    label: 'gitmoji',
+    types: COMMIT_TYPES,
+    lint: { subjectCase: 'sentence' },
+    guide: `Follow Gitmoji convention:
+- Start with an appropriate gitmoji
+- Follow with a clear, concise description
+- Use imperative mood
+- Common gitmojis: ✨ (new feature), 🐛 (bug fix), 📝 (docs), ♻️ (refactor)
+- Example: "✨ Add dark mode toggle"
+- Example: "🐛 Fix memory leak in event listener"`
+  },
+
+  simple: {
+    label: 'simple',
+    types: null,
+    lint: { types: false },
+    guide: `Write a simple commit message:
+- Format: <description>
+- No type, scope, emoji or other prefix
+- Use lowercase and imperative mood
+- Example: "add user login functionality"
+- Example: "fix null pointer exception in parser"`
+  },
+
+  custom: {
+    label: 'custom',
+    types: null,
+    lint: { types: false, subjectCase: false },
+    guide: null
+  }
+};
+
+/**
+ * Branch naming conventions, in the order setup lists them
+ * - label: i18n key under setup.branchNaming (plus `Desc` for the description)
+ * - guide: convention section of the branch prompt; custom builds it from the user's format
+ * - pattern: what a generated name must look like; custom checks against the user's format
+ * - example: shown when a generated name doesn't fit
+ */
+export const BRANCH_CONVENTIONS = {
+  gitflow: {
+    label: 'gitflow',
+    pattern: /^(feature|bugfix|hotfix|release)\/[a-z0-9][a-z0-9._-]*$/,
+    example: 'feature/user-authentication',
+    guide: `Follow Git Flow branch naming:
+- Feature branches: feature/<descriptive-name>
+- Bugfix branches: bugfix/<descriptive-name>
+- Hotfix branches: hotfix/<descriptive-name>
+- Release branches: release/<version>
+- Use kebab-case for names
+- Example: "feature/user-authentication"
+- Example: "bugfix/login-validation-error"`
+  },
+
+  github: {
+    label: 'github',
+    pattern: /^(feature|fix|docs|chore|refactor)\/[a-z0-9][a-z0-9-]*$/,
+    example: 'feature/add-dark-mode',
+    guide: `Follow GitHub Flow branch naming:
+- Format: <type>/<short-description>
+- Types: feature, fix, docs, chore, refactor
+- Use kebab-case
+- Keep it concise and descriptive
+- Example: "feature/add-dark-mode"
+- Example: "fix/memory-leak"`
+  },
+
+  gitlab: {
+    label: 'gitlab',
+    pattern: /^(\d+-[a-z0-9][a-z0-9-]*|[a-z]+\/[a-z0-9][a-z0-9-]*)$/,
+    example: '42-implement-user-search',
+    guide: `Follow GitLab Flow branch naming:
+- Format: <issue-number>-<description> or <type>/<description>
+- Use kebab-case
+- Reference issue numbers when applicable
+- Example: "42-implement-user-search"
+- Example: "feature/payment-integration"`
+  },
+
+  descriptive: {
+    label: 'descriptive',
+    pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+    example: 'add-dark-mode-toggle',
+    guide: `Use a plain descriptive branch name:
+- Format: <short-descriptive-name>
+- No type prefix, ticket number or slashes
+- Use kebab-case, 2 to 5 words
+- Example: "add-dark-mode-toggle"
+- Example: "fix-login-validation"`
+  },
+
+  'ticket-based': {
+    label: 'ticket',
+    pattern: /^[A-Z][A-Z0-9]+-\d+[-/][a-z0-9][a-z0-9-]*$/,
+    example: 'PROJ-123-add-export-feature',
+    guide: `Follow ticket-based naming:
+- Format: <TICKET-ID>-<short-description>
+- The ticket ID is uppercase, e.g. JIRA-123; take it from the context
+- Use kebab-case for the description
+- Example: "JIRA-123-add-export-feature"
+- Example: "PROJ-456-fix-validation-bug"`
+  },
+
+  custom: {
+    label: 'custom',
+    pattern: null,
+    example: null,
+    guide: null
+  }
+};
+
+// Names earlier versions used for the same conventions
+const BRANCH_ALIASES = {
+  ticket: 'ticket-based'
+};
+
+export const DEFAULT_COMMIT_CONVENTION = 'conventional';
+export const DEFAULT_BRANCH_CONVENTION = 'gitflow';
+
+/**
+ * Looks up a commit convention, falling back to the default for unknown names
+ * @param {string} name - Convention name from config
+ * @returns {{name: string} & Object} Convention definition with its resolved name
+ */
+export function getCommitConvention(name) {
+  const resolved = Object.hasOwn(COMMIT_CONVENTIONS, name) ? name : DEFAULT_COMMIT_CONVENTION;
+  return { name: resolved, ...COMMIT_CONVENTIONS[resolved] };
+}
+
+/**
+ * Looks up a branch naming convention, falling back to the default for unknown names
+ * @param {string} name - Convention name from config
+ * @returns {{name: string} & Object} Convention definition with its resolved name
+ */
+export function getBranchConvention(name) {
+  const alias = BRANCH_ALIASES[name] || name;
+  const resolved = Object.hasOwn(BRANCH_CONVENTIONS, alias) ? alias : DEFAULT_BRANCH_CONVENTION;
+  return { name: resolved, ...BRANCH_CONVENTIONS[resolved] };
+}
+
+export default {
+  COMMIT_TYPES,
+  COMMIT_CONVENTIONS,
+  BRANCH_CONVENTIONS,
+  DEFAULT_COMMIT_CONVENTION,
+  DEFAULT_BRANCH_CONVENTION,
+  getCommitConvention,
+  getBranchConvention
+};
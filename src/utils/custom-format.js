@@ -0,0 +1,131 @@
+/**
+ * Custom commit and branch formats, as typed in setup
+ *
+ * A format is free text: the first line with a placeholder is the template,
+ * and the lines after it may list the values a placeholder allows.
+ *
+ *   Example:
+ *   [{type}] {message}
+ *
+ *   Where {type} can be: feature, bugfix, refactor
+ *
+ * Placeholders are written {name} or <name>.
+ */
+
+const PLACEHOLDER = /\{(\w+)\}|<(\w+)>/g;
+
+// What a placeholder may contain, by name; anything else is free text
+const PLACEHOLDER_PATTERNS = {
+  ticket: '(?:[A-Za-z][A-Za-z0-9]*-\\d+|#?\\d+)',
+  issue: '(?:[A-Za-z][A-Za-z0-9]*-\\d+|#?\\d+)',
+  type: '[A-Za-z][\\w-]*',
+  scope: '[\\w.\\/-]+',
+  username: '[\\w.-]+',
+  user: '[\\w.-]+',
+  author: '[\\w.-]+',
+  version: 'v?\\d+(?:\\.\\d+)*(?:[-+][\\w.]+)?',
+  emoji: '(?:\\p{Extended_Pictographic}\\S*|:\\w+:)'
+};
+
+// Free text inside a branch name: one path segment, no spaces
+const BRANCH_TEXT = '[\\w.-]+';
+const COMMIT_TEXT = '.+?';
+
+/**
+ * Reads the template and the allowed values out of a format description
+ * @param {string|null} text - Format as saved in config
+ * @returns {{template: string, placeholders: string[], values: Object}|null} Parsed format, or null without a template
+ *
+ * @example
+ * parseCustomFormat('<ticket>/<type>/<slug>\n\n<type> can be: feature, fix');
+ * // { template: '<ticket>/<type>/<slug>', placeholders: ['ticket', 'type', 'slug'], values: { type: ['feature', 'fix'] } }
+ */
+export function parseCustomFormat(text) {
+  const lines = (text || '').split('\n').map(line => line.trim());
+  const index = lines.findIndex(line => hasPlaceholder(line));
+
+  if (index === -1) {
+    return null;
+  }
+
+  const template = lines[index];
+  const placeholders = [...template.matchAll(PLACEHOLDER)].map(match => match[1] || match[2]);
+  const values = {};
+
+  // "Where {type} can be: feature, bugfix, refactor" in any language
+  for (const line of lines.slice(index + 1)) {
+    const match = line.match(/(?:\{(\w+)\}|<(\w+)>)[^:]*:\s*(.+)$/);
+    if (!match) continue;
+
+    const name = match[1] || match[2];
+    const list = match[3].split(/,|\s+(?:or|ou|o)\s+/).map(value => value.trim()).filter(Boolean);
+    if (placeholders.includes(name) && list.length > 1 && list.every(value => /^[\w.-]+$/.test(value))) {
+      values[name] = list;
+    }
+  }
+
+  return { template, placeholders, values };
+}
+
+/**
+ * Checks a commit header or branch name against a custom format
+ * @param {string} value - Commit header or branch name
+ * @param {string|null} text - Format as saved in config
+ * @param {string} kind - 'commit' or 'branch'
+ * @returns {boolean} True when it fits, or when the format has no template to check against
+ */
+export function matchesCustomFormat(value, text, kind = 'commit') {
+  const format = parseCustomFormat(text);
+  if (!format) {
+    return true;
+  }
+
+  // A placeholder copied into the output verbatim is never a fit
+  if (format.placeholders.some(name => value.includes(`{${name}}`) || value.includes(`<${name}>`))) {
+    return false;
+  }
+
+  return buildFormatPattern(format, kind).test(value);
+}
+
+/**
+ * Turns a template into an anchored regular expression
+ * @param {Object} format - Output of parseCustomFormat
+ * @param {string} kind - 'commit' or 'branch'
+ * @returns {RegExp}
+ */
+export function buildFormatPattern(format, kind = 'commit') {
+  let source = '';
+  let last = 0;
+
+  for (const match of format.template.matchAll(PLACEHOLDER)) {
+    const name = match[1] || match[2];
+    source += escapeRegExp(format.template.slice(last, match.index));
+    source += placeholderPattern(name.toLowerCase(), format.values[name], kind);
+    last = match.index + match[0].length;
+  }
+  source += escapeRegExp(format.template.slice(last));
+
+  return new RegExp(`^${source}$`, 'u');
+}
+
+function placeholderPattern(name, values, kind) {
+  if (values) {
+    return `(?:${values.map(escapeRegExp).join('|')})`;
+  }
+  return PLACEHOLDER_PATTERNS[name] || (kind === 'branch' ? BRANCH_TEXT : COMMIT_TEXT);
+}
+
+function hasPlaceholder(text) {
+  return new RegExp(PLACEHOLDER.source).test(text);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+export default {
+  parseCustomFormat,
+  matchesCustomFormat,
+  buildFormatPattern
+};
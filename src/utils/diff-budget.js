@@ -0,0 +1,199 @@
+/**
+ * Utilities for keeping diffs inside a model's context window
+ */
+
+/**
+ * Context windows (in tokens) by model name prefix, longest prefix wins
+ */
+export const MODEL_CONTEXT_WINDOWS = {
+  'gpt-3.5-turbo': 16385,
+  'gpt-4': 8192,
+  'gpt-4-turbo': 128000,
+  'gpt-4o': 128000,
+  'gpt-4.1': 1000000,
+  'gpt-5': 400000,
+  'o1': 200000,
+  'o3': 200000,
+  'o4': 200000,
+  'claude': 200000,
+  'gemini': 1000000
+};
+
+// Used for unknown models, e.g. most local ones
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Even huge windows don't need huge diffs: past this the message doesn't get better, only pricier
+export const DEFAULT_MAX_CONTEXT_TOKENS = 12000;
+
+// Per-file floor so every file keeps at least its first hunk header
+const MIN_TOKENS_PER_FILE = 200;
+
+const LOCKFILES = [
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  'Cargo.lock',
+  'Gemfile.lock',
+  'composer.lock',
+  'poetry.lock',
+  'Pipfile.lock',
+  'go.sum'
+];
+
+/**
+ * Rough token estimate (~4 characters per token for code and English)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Gets the context budget for a model
+ * Half the window is left for the system prompt and the answer
+ * @param {string} model - Model name
+ * @param {number|null} override - Explicit budget from config
+ * @returns {number} Token budget for the diff
+ *
+ * @example
+ * getTokenBudget('gpt-4'); // 4096
+ * getTokenBudget('claude-sonnet-4-5'); // 12000
+ */
+export function getTokenBudget(model, override = null) {
+  if (override) return override;
+
+  const name = (model || '').toLowerCase();
+  const prefix = Object.keys(MODEL_CONTEXT_WINDOWS)
+    .filter(p => name.startsWith(p))
+    .sort((a, b) => b.length - a.length)[0];
+
+  const window = prefix ? MODEL_CONTEXT_WINDOWS[prefix] : DEFAULT_CONTEXT_WINDOW;
+  return Math.min(Math.floor(window / 2), DEFAULT_MAX_CONTEXT_TOKENS);
+}
+
+/**
+ * Checks whether a path is a dependency lockfile
+ * @param {string} file - File path
+ * @returns {boolean}
+ */
+export function isLockfile(file) {
+  const base = file.split('/').pop();
+  return LOCKFILES.includes(base);
+}
+
+/**
+ * Splits a unified diff into per-file chunks with line counts
+ * @param {string} diff - Output of git diff
+ * @returns {Array<Object>} Array of { file, diff, additions, deletions }
+ */
+export function splitDiffByFile(diff) {
+  if (!diff) return [];
+
+  const chunks = diff.split(/^(?=diff --git )/m).filter(chunk => chunk.startsWith('diff --git '));
+
+  return chunks.map(chunk => {
+    const header = chunk.match(/^diff --git a\/(.+?) b\/(.+)$/m);
+    const file = header ? header[2] : 'unknown';
+
+    let additions = 0;
+    let deletions = 0;
+    for (const line of chunk.split('\n')) {
+      if (line.startsWith('+') && !line.startsWith('+++')) additions++;
+      else if (line.startsWith('-') && !line.startsWith('---')) deletions++;
+    }
+
+    return { file, diff: chunk, additions, deletions };
+  });
+}
+
+/**
+ * Builds a numstat-style overview of the changed files
+ * @param {Array<Object>} files - Output of splitDiffByFile
+ * @returns {string} One line per file, e.g. "+12 -3  src/index.js"
+ */
+export function summarizeFileStats(files) {
+  const lines = files.map(f => {
+    const note = isLockfile(f.file) ? ' (lockfile, diff omitted)' : '';
+    return `+${f.additions} -${f.deletions}\t${f.file}${note}`;
+  });
+
+  return `Changed files (${files.length}):\n${lines.join('\n')}`;
+}
+
+/**
+ * Cuts a single file's diff down to a token budget
+ * @param {string} fileDiff - Diff of one file
+ * @param {number} budget - Token budget
+ * @returns {string} Possibly truncated diff
+ */
+export function truncateFileDiff(fileDiff, budget) {
+  if (estimateTokens(fileDiff) <= budget) {
+    return fileDiff;
+  }
+
+  const lines = fileDiff.split('\n');
+  const kept = [];
+  let used = 0;
+
+  for (const line of lines) {
+    const cost = estimateTokens(line + '\n');
+    if (used + cost > budget) break;
+    kept.push(line);
+    used += cost;
+  }
+
+  const omitted = lines.length - kept.length;
+  return `${kept.join('\n')}\n[... ${omitted} more lines truncated]\n`;
+}
+
+/**
+ * Fits a full diff into a token budget
+ * Lockfiles are reduced to their stats line, then each remaining file gets
+ * an even share of the budget; files that still don't fit keep only their stats
+ * @param {string} diff - Output of git diff
+ * @param {number} budget - Token budget
+ * @returns {string} Diff that fits the budget, prefixed with a numstat overview when trimmed
+ */
+export function fitDiffToBudget(diff, budget) {
+  if (estimateTokens(diff) <= budget) {
+    return diff;
+  }
+
+  const files = splitDiffByFile(diff);
+  if (files.length === 0) {
+    return truncateFileDiff(diff, budget);
+  }
+
+  const overview = summarizeFileStats(files);
+  const bodies = files.filter(f => !isLockfile(f.file));
+
+  let remaining = budget - estimateTokens(overview);
+  const perFile = Math.max(Math.floor(remaining / Math.max(bodies.length, 1)), MIN_TOKENS_PER_FILE);
+  const parts = [];
+
+  for (const f of bodies) {
+    if (remaining < MIN_TOKENS_PER_FILE) break;
+
+    const part = truncateFileDiff(f.diff, Math.min(perFile, remaining));
+    parts.push(part);
+    remaining -= estimateTokens(part);
+  }
+
+  return `${overview}\n\n${parts.join('\n')}`;
+}
+
+export default {
+  MODEL_CONTEXT_WINDOWS,
+  DEFAULT_MAX_CONTEXT_TOKENS,
+  estimateTokens,
+  getTokenBudget,
+  isLockfile,
+  splitDiffByFile,
+  summarizeFileStats,
+  truncateFileDiff,
+  fitDiffToBudget
+};
@@ -0,0 +1,71 @@
+import fs from 'fs';
+import tls from 'tls';
+import { Agent, ProxyAgent, EnvHttpProxyAgent } from 'undici';
+
+/**
+ * Builds the fetch dispatcher for a provider connection
+ * An explicit proxy wins; otherwise HTTPS_PROXY / HTTP_PROXY / NO_PROXY from the
+ * environment are honored. A CA bundle is trusted on top of the system roots,
+ * so public endpoints keep working next to the internal gateway.
+ * @param {Object} settings - Connection settings
+ * @param {string|null} [settings.proxy] - Proxy URL, e.g. http://proxy.corp:8080
+ * @param {string|null} [settings.caFile] - Path to a PEM bundle with extra CA certificates
+ * @param {boolean} [settings.envProxy=true] - Fall back to the proxy environment variables
+ * @returns {import('undici').Dispatcher|undefined} Dispatcher, or undefined when the default connection will do
+ * @throws {Error} When the CA bundle can't be read
+ */
+export function createDispatcher({ proxy = null, caFile = null, envProxy = true } = {}) {
+  let tlsOptions;
+  if (caFile) {
+    try {
+      tlsOptions = { ca: [...tls.rootCertificates, fs.readFileSync(caFile, 'utf-8')] };
+    } catch (error) {
+      throw new Error(`Could not read CA bundle ${caFile}: ${error.message}`);
+    }
+  }
+
+  if (proxy) {
+    return new ProxyAgent({ uri: proxy, requestTls: tlsOptions, proxyTls: tlsOptions });
+  }
+
+  if (envProxy && hasProxyEnv()) {
+    return new EnvHttpProxyAgent({ connect: tlsOptions, requestTls: tlsOptions, proxyTls: tlsOptions });
+  }
+
+  return tlsOptions ? new Agent({ connect: tlsOptions }) : undefined;
+}
+
+/**
+ * Parses headers typed as "Name: value" pairs separated by semicolons or new lines
+ * @param {string} text - Header list
+ * @returns {Object} Header map
+ *
+ * @example
+ * parseHeaders('X-Gateway-Key: abc; X-Team: platform');
+ * // { 'X-Gateway-Key': 'abc', 'X-Team': 'platform' }
+ */
+export function parseHeaders(text) {
+  const headers = {};
+
+  for (const pair of (text || '').split(/[;\n]/)) {
+    const separator = pair.indexOf(':');
+    if (separator <= 0) continue;
+
+    const name = pair.slice(0, separator).trim();
+    const value = pair.slice(separator + 1).trim();
+    if (name) {
+      headers[name] = value;
+    }
+  }
+
+  return headers;
+}
+
+function hasProxyEnv() {
+  return ['HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy'].some(name => process.env[name]);
+}
+
+export default {
+  createDispatcher,
+  parseHeaders
+};
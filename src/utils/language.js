@@ -0,0 +1,42 @@
+/**
+ * Helpers for the language generated commit messages, branch names and PRs are written in
+ * This is separate from the interface language handled by i18n
+ */
+
+/**
+ * English name of a language, for use in prompts
+ * Accepts BCP 47 codes ("pt-BR", "fr") or a name typed by the user ("Portuguese")
+ * @param {string} language - Language code or name
+ * @returns {string} Language name
+ *
+ * @example
+ * getLanguageName('pt-BR'); // 'Brazilian Portuguese'
+ * getLanguageName('Klingon'); // 'Klingon'
+ */
+export function getLanguageName(language) {
+  if (!language) {
+    return 'English';
+  }
+
+  try {
+    const name = new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+    // Unknown but well-formed codes come back unchanged
+    return name && name !== language ? name : language;
+  } catch {
+    return language;
+  }
+}
+
+/**
+ * Whether a language setting means English
+ * @param {string} language - Language code or name
+ * @returns {boolean}
+ */
+export function isEnglish(language) {
+  return !language || /^(en(-\w+)?|english)$/i.test(language.trim());
+}
+
+export default {
+  getLanguageName,
+  isEnglish
+};
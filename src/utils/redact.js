@@ -0,0 +1,151 @@
+/**
+ * Secret and personal data redaction for diffs and other request context
+ * Matches are replaced with [REDACTED:<id>] before anything is sent to a provider
+ */
+
+/**
+ * Built-in detectors, checked in order on every line
+ * `group` is the capture group holding the secret (0 for the whole match);
+ * high-confidence detectors are specific enough that a match is almost surely real
+ */
+export const SECRET_PATTERNS = [
+  { id: 'anthropic-key', label: 'Anthropic API key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g, confidence: 'high' },
+  { id: 'openai-key', label: 'OpenAI API key', pattern: /\bsk-(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}/g, confidence: 'high' },
+  { id: 'aws-access-key', label: 'AWS access key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g, confidence: 'high' },
+  { id: 'github-token', label: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g, confidence: 'high' },
+  { id: 'gitlab-token', label: 'GitLab token', pattern: /\bglpat-[A-Za-z0-9_-]{20,}\b/g, confidence: 'high' },
+  { id: 'google-api-key', label: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g, confidence: 'high' },
+  { id: 'slack-token', label: 'Slack token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g, confidence: 'high' },
+  { id: 'stripe-key', label: 'Stripe key', pattern: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g, confidence: 'high' },
+  { id: 'jwt', label: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g, confidence: 'high' },
+  { id: 'url-credentials', label: 'Password in URL', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:([^\s@/]+)@/gi, group: 1, confidence: 'high' },
+  {
+    id: 'secret-assignment',
+    label: 'Secret value',
+    pattern: /\b[\w.-]*(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|credential)[\w.-]*["']?\s*[:=]\s*(["'])([^"'\s]{8,})\1/gi,
+    group: 2,
+    confidence: 'low'
+  }
+];
+
+const EMAIL_PATTERN = { id: 'email', label: 'Email address', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g, confidence: 'low' };
+
+// Values that are obviously placeholders rather than real secrets
+const PLACEHOLDER_VALUE = /^(?:\$\{|\$\(|<|process\.env|your[-_]|xxx|\*{3}|changeme|example|dummy|test$|redacted)/i;
+
+// Email domains that never belong to a real person
+const DEFAULT_ALLOWED_EMAILS = /@(?:example\.(?:com|org|net)|users\.noreply\.github\.com|localhost)$/i;
+
+// .env files, but not the templates that are meant to be committed
+const ENV_FILE = /(?:^|\/)\.env(?:\.(?!example$|sample$|template$|dist$)[\w.-]+)?$/;
+const ENV_LINE = /^([+\- ]?\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*)(.+)$/;
+const SENSITIVE_ENV_KEY = /KEY|SECRET|TOKEN|PASS|PWD|CREDENTIAL|PRIVATE|AUTH/i;
+
+const PRIVATE_KEY_BEGIN = /-----BEGIN [A-Z ]*PRIVATE KEY( BLOCK)?-----/;
+const PRIVATE_KEY_END = /-----END [A-Z ]*PRIVATE KEY( BLOCK)?-----/;
+
+/**
+ * Masks secrets and personal data in a diff or any other text
+ * Diff structure (file headers, +/- prefixes) is kept intact so the
+ * model still sees what changed
+ * @param {string} text - Diff or other request context
+ * @param {Object} options - Redaction options
+ * @param {boolean} [options.emails=true] - Also mask email addresses
+ * @param {Array<Object>} [options.patterns] - Extra detectors: { id, label, pattern (regex source), confidence }
+ * @param {string[]} [options.allow] - Regex sources; matching values are left alone
+ * @returns {{text: string, findings: Array<{id: string, label: string, file: string|null, confidence: string}>}}
+ *
+ * @example
+ * redactSecrets('+OPENAI_KEY="sk-abc123abc123abc123abc123"').text;
+ * // '+OPENAI_KEY="[REDACTED:openai-key]"'
+ */
+export function redactSecrets(text, options = {}) {
+  const { emails = true, patterns = [], allow = [] } = options;
+  const detectors = [
+    ...patterns.map(p => ({ confidence: 'high', label: p.id, ...p, pattern: new RegExp(p.pattern, 'g') })),
+    ...SECRET_PATTERNS,
+    ...(emails ? [EMAIL_PATTERN] : [])
+  ];
+  const allowed = allow.map(source => new RegExp(source));
+  const isAllowed = value => PLACEHOLDER_VALUE.test(value) || allowed.some(re => re.test(value));
+
+  const findings = [];
+  let file = null;
+  let inPrivateKey = false;
+
+  const lines = (text || '').split('\n').map(line => {
+    const header = line.match(/^diff --git a\/.+ b\/(.+)$/);
+    if (header) {
+      file = header[1];
+      return line;
+    }
+
+    // Key material spans several lines; mask everything between the markers
+    if (inPrivateKey || PRIVATE_KEY_BEGIN.test(line)) {
+      if (!inPrivateKey) {
+        findings.push({ id: 'private-key', label: 'Private key', file, confidence: 'high' });
+      }
+      inPrivateKey = !PRIVATE_KEY_END.test(line);
+
+      const prefix = /^[+\- ]/.test(line) ? line[0] : '';
+      const marker = line.match(PRIVATE_KEY_BEGIN) || line.match(PRIVATE_KEY_END);
+      return marker ? `${prefix}${marker[0]}` : `${prefix}[REDACTED:private-key]`;
+    }
+
+    let result = line;
+    for (const detector of detectors) {
+      result = result.replace(detector.pattern, (match, ...groups) => {
+        const secret = detector.group ? groups[detector.group - 1] : match;
+        if (!secret || isAllowed(secret) || (detector === EMAIL_PATTERN && DEFAULT_ALLOWED_EMAILS.test(secret))) {
+          return match;
+        }
+
+        findings.push({ id: detector.id, label: detector.label, file, confidence: detector.confidence });
+        return match.replace(secret, `[REDACTED:${detector.id}]`);
+      });
+    }
+
+    // Every value in a real .env file is configuration nobody meant to share
+    if (file && ENV_FILE.test(file)) {
+      const env = result.match(ENV_LINE);
+      if (env && !env[3].includes('[REDACTED:') && !isAllowed(env[3].replace(/^["']|["']$/g, ''))) {
+        findings.push({
+          id: 'env-value',
+          label: '.env value',
+          file,
+          confidence: SENSITIVE_ENV_KEY.test(env[2]) ? 'high' : 'low'
+        });
+        result = `${env[1]}[REDACTED:env-value]`;
+      }
+    }
+
+    return result;
+  });
+
+  return { text: lines.join('\n'), findings };
+}
+
+/**
+ * Groups findings for reporting
+ * @param {Array<Object>} findings - Output of redactSecrets
+ * @returns {Array<{label: string, file: string|null, count: number, confidence: string}>}
+ */
+export function summarizeFindings(findings) {
+  const groups = new Map();
+
+  for (const finding of findings) {
+    const key = `${finding.label}\u0000${finding.file}`;
+    const group = groups.get(key) || { label: finding.label, file: finding.file, count: 0, confidence: 'low' };
+    group.count++;
+    if (finding.confidence === 'high') group.confidence = 'high';
+    groups.set(key, group);
+  }
+
+  return Array.from(groups.values());
+}
+
+export default {
+  SECRET_PATTERNS,
+  redactSecrets,
+  summarizeFindings
+};
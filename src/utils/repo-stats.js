@@ -83,8 +83,9 @@ export function getFunnyMessage() {
  * Display repository statistics in a single-line status bar format
  * @param {Object} stats - Repository stats object
  * @param {string} version - App version
+ * @param {Object} config - User config, for the models in use
  */
-export function displayRepoStats(stats, version = '1.0.0') {
+export function displayRepoStats(stats, version = '1.0.0', config = {}) {
   if (!stats) return;
 
   const parts = [];
@@ -116,6 +117,15 @@ export function displayRepoStats(stats, version = '1.0.0') {
     parts.push(chalk.magenta(`on ${stats.currentBranch}`));
   }
 
+  // Model, plus the task types routed elsewhere
+  if (config.provider) {
+    const routes = Object.entries(config.taskModels || {})
+      .filter(([, route]) => route)
+      .map(([type, route]) => `${type}: ${typeof route === 'string' ? route : route.model || route.provider}`);
+    const model = chalk.green(config.model || config.provider);
+    parts.push(routes.length > 0 ? `${model} ${chalk.dim(`(${routes.join(', ')})`)}` : model);
+  }
+
   // Join with · separator
   const statusLine = parts.join(chalk.dim(' · '));
 
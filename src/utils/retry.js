@@ -0,0 +1,161 @@
+/**
+ * Retry helpers for provider calls
+ * Exponential backoff with full jitter, honouring Retry-After when the provider sends it
+ */
+
+/**
+ * Default retry policy, overridable through the `retry` config key
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
+// Network-level failures worth another attempt
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+/**
+ * Decides whether an error is transient
+ * Auth, permission and validation errors (400, 401, 403, 404, 422) are fatal:
+ * repeating the same request can only fail the same way
+ * @param {Error} error - Normalized provider error
+ * @returns {boolean} True if the call may succeed on a later attempt
+ *
+ * @example
+ * isRetryableError({ status: 429 }); // true
+ * isRetryableError({ status: 401 }); // false
+ */
+export function isRetryableError(error) {
+  if (!error) return false;
+
+  const status = error.status;
+  if (typeof status === 'number') {
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+  }
+
+  const code = error.code || error.cause?.code || error.cause?.cause?.code;
+  if (code && RETRYABLE_CODES.includes(code)) {
+    return true;
+  }
+
+  // SDK connection errors have no status and a recognizable name
+  const name = error.cause?.name || error.name || '';
+  return /Connection|Timeout/i.test(name);
+}
+
+/**
+ * Parses a Retry-After value (seconds or HTTP date) into milliseconds
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ *
+ * @example
+ * parseRetryAfter('5'); // 5000
+ * parseRetryAfter('Wed, 21 Oct 2026 07:28:00 GMT'); // ms until that date
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Computes the wait before the next attempt
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Error} error - The error it failed with
+ * @param {Object} policy - Retry policy
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, error, policy = DEFAULT_RETRY_POLICY) {
+  if (typeof error?.retryAfter === 'number') {
+    return Math.min(error.retryAfter, policy.maxDelayMs);
+  }
+
+  // Full jitter: random point between 0 and the exponential ceiling
+  const ceiling = Math.min(policy.baseDelayMs * 2 ** (attempt - 1), policy.maxDelayMs);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Runs an async function, retrying transient failures
+ * @param {Function} fn - Async function receiving the attempt number (1-based)
+ * @param {Object} options - Retry options
+ * @param {Object} options.policy - Retry policy (see DEFAULT_RETRY_POLICY)
+ * @param {Function} [options.shouldRetry] - Extra veto, called with the error
+ * @param {Function} [options.onRetry] - Called with { attempt, maxAttempts, delay, error } before waiting
+ * @param {AbortSignal} [options.signal] - Stops retrying, including mid-wait, once aborted
+ * @returns {Promise<*>} Result of fn
+ * @throws {Error} The last error once attempts run out or the error is fatal
+ */
+export async function withRetry(fn, options = {}) {
+  const policy = { ...DEFAULT_RETRY_POLICY, ...options.policy };
+  const maxAttempts = Math.max(1, policy.maxAttempts);
+  const { signal } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    signal?.throwIfAborted();
+
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const canRetry = attempt < maxAttempts &&
+        isRetryableError(error) &&
+        (!options.shouldRetry || options.shouldRetry(error));
+
+      if (!canRetry) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error, policy);
+      options.onRetry?.({ attempt, maxAttempts, delay, error });
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Waits for a delay, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export default {
+  DEFAULT_RETRY_POLICY,
+  isRetryableError,
+  parseRetryAfter,
+  getRetryDelay,
+  withRetry,
+  sleep
+};